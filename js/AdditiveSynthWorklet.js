@@ -0,0 +1,183 @@
+// AdditiveSynthWorklet.js - Audio worklet that sounds every partial WorkletAudioRenderer sends
+
+// Loaded on its own with audioWorklet.addModule(), so it can't share
+// modules with the main thread. Keep these in step with
+// WorkletAudioRenderer.js.
+const PARTIAL_STRIDE = 6; // id, frequency, amplitude, pan, phase, shape
+const SHAPES = ["sine", "triangle", "sawtooth", "square"];
+
+const TABLE_SIZE = 2048;
+const LOWEST_FREQUENCY = 20; // Bottom of the first band of tables
+
+// Amplitude of harmonic n in each shape's Fourier series
+const HARMONICS = {
+  sine: (n) => (n === 1 ? 1 : 0),
+  triangle: (n) =>
+    n % 2 === 1
+      ? ((((n - 1) / 2) % 2 === 0 ? 1 : -1) * 8) / (Math.PI * Math.PI * n * n)
+      : 0,
+  sawtooth: (n) => ((n % 2 === 1 ? 1 : -1) * 2) / (Math.PI * n),
+  square: (n) => (n % 2 === 1 ? 4 / (Math.PI * n) : 0),
+};
+
+// Band-limited wavetables: for each shape, one table per octave band from
+// LOWEST_FREQUENCY up, holding only the harmonics that stay below Nyquist
+// for the top of its band. A partial reads the table for its frequency, so
+// nothing it plays aliases.
+function createWavetables(sampleRate) {
+  const nyquist = sampleRate / 2;
+  const sine = new Float32Array(TABLE_SIZE);
+  for (let i = 0; i < TABLE_SIZE; i++) {
+    sine[i] = Math.sin((i / TABLE_SIZE) * Math.PI * 2);
+  }
+
+  return SHAPES.map((shape) => {
+    const tables = [];
+    for (let top = LOWEST_FREQUENCY * 2; top / 2 < nyquist; top *= 2) {
+      const harmonics = Math.max(
+        1,
+        Math.min(TABLE_SIZE / 2 - 1, Math.floor(nyquist / top)),
+      );
+
+      // Harmonic n at sample i is sine[n * i], wrapped round the table
+      const table = new Float32Array(TABLE_SIZE + 1); // Extra point for interpolation
+      for (let n = 1; n <= harmonics; n++) {
+        const amplitude = HARMONICS[shape](n);
+        if (amplitude === 0) continue;
+        for (let i = 0; i < TABLE_SIZE; i++) {
+          table[i] += amplitude * sine[(n * i) % TABLE_SIZE];
+        }
+      }
+
+      // Same peak level for every shape and band
+      let peak = 0;
+      for (let i = 0; i < TABLE_SIZE; i++) {
+        peak = Math.max(peak, Math.abs(table[i]));
+      }
+      for (let i = 0; i < TABLE_SIZE; i++) {
+        table[i] /= peak;
+      }
+      table[TABLE_SIZE] = table[0];
+
+      tables.push(table);
+    }
+    return tables;
+  });
+}
+
+// Sums a partial per sounding cell into a stereo output. Frames of target
+// values arrive on the port; every partial glides to its targets sample by
+// sample with a one-pole smoother, so frame-rate updates don't zipper.
+// Partials missing from a frame fade out and are dropped once silent.
+class AdditiveSynthProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const { smoothingTime = 0.02 } = options.processorOptions || {};
+
+    this.wavetables = createWavetables(sampleRate);
+    this.smoothing = 1 - Math.exp(-1 / (smoothingTime * sampleRate));
+    this.partials = new Map(); // Id -> partial
+    this.frame = 0;
+
+    this.port.onmessage = ({ data }) => {
+      if (data.type === "frame") {
+        this.applyFrame(new Float64Array(data.buffer), data.count);
+        // Hand the buffer back for the next frame
+        this.port.postMessage({ type: "recycle", buffer: data.buffer }, [
+          data.buffer,
+        ]);
+      }
+    };
+  }
+
+  // Take new targets from a frame
+  applyFrame(values, count) {
+    this.frame++;
+
+    for (let i = 0; i < count; i++) {
+      const offset = i * PARTIAL_STRIDE;
+      const id = values[offset];
+      const frequency = values[offset + 1];
+      const amplitude = values[offset + 2];
+      const pan = values[offset + 3];
+
+      let partial = this.partials.get(id);
+      if (!partial) {
+        // Start silent at the cell's phase and pitch, then fade in
+        partial = {
+          phase: values[offset + 4] / (Math.PI * 2),
+          frequency,
+          left: 0,
+          right: 0,
+        };
+        this.partials.set(id, partial);
+      }
+
+      // Equal-power pan
+      const angle = ((pan + 1) * Math.PI) / 4;
+      partial.targetFrequency = frequency;
+      partial.targetLeft = amplitude * Math.cos(angle);
+      partial.targetRight = amplitude * Math.sin(angle);
+      partial.shape = values[offset + 5];
+      partial.frame = this.frame;
+    }
+
+    this.partials.forEach((partial) => {
+      if (partial.frame !== this.frame) {
+        partial.targetLeft = 0;
+        partial.targetRight = 0;
+      }
+    });
+  }
+
+  process(inputs, outputs) {
+    const [left, right] = outputs[0];
+    const smoothing = this.smoothing;
+
+    this.partials.forEach((partial, id) => {
+      const tables = this.wavetables[partial.shape];
+      const band = Math.log2(partial.targetFrequency / LOWEST_FREQUENCY);
+      const table =
+        tables[Math.max(0, Math.min(tables.length - 1, Math.floor(band)))];
+
+      let { phase, frequency, left: leftGain, right: rightGain } = partial;
+      const { targetFrequency, targetLeft, targetRight } = partial;
+
+      for (let i = 0; i < left.length; i++) {
+        frequency += (targetFrequency - frequency) * smoothing;
+        leftGain += (targetLeft - leftGain) * smoothing;
+        rightGain += (targetRight - rightGain) * smoothing;
+
+        const position = phase * TABLE_SIZE;
+        const index = Math.floor(position);
+        const fraction = position - index;
+        const sample =
+          table[index] + (table[index + 1] - table[index]) * fraction;
+
+        left[i] += sample * leftGain;
+        if (right) right[i] += sample * rightGain;
+
+        phase += frequency / sampleRate;
+        if (phase >= 1) phase -= Math.floor(phase);
+      }
+
+      partial.phase = phase;
+      partial.frequency = frequency;
+      partial.left = leftGain;
+      partial.right = rightGain;
+
+      // Faded out after leaving the field
+      if (
+        targetLeft === 0 &&
+        targetRight === 0 &&
+        Math.abs(leftGain) + Math.abs(rightGain) < 1e-5
+      ) {
+        this.partials.delete(id);
+      }
+    });
+
+    return true;
+  }
+}
+
+registerProcessor("additive-synth", AdditiveSynthProcessor);
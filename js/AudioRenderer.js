@@ -1,11 +1,16 @@
 // AudioRenderer.js - Audio generation from wave field data
 
-import { createReverbImpulse } from "./Utils.js";
+import { createReverbImpulse, createGrainWavetable } from "./Utils.js";
+import Transport from "./Transport.js";
 
 class AudioRenderer {
   constructor(waveField, options = {}) {
     this.waveField = waveField;
 
+    // Noise source for the reverb impulse and grain scattering; seed it for
+    // a repeatable impulse
+    this.random = options.random || Math.random;
+
     // Audio context and master nodes
     this.audioContext = new (window.AudioContext ||
       window.webkitAudioContext)();
@@ -28,26 +33,105 @@ class AudioRenderer {
     this.reverbSend.connect(this.reverb);
     this.reverb.connect(this.compressor);
 
-    // Voice settings
+    // Spatialization of every voice and one-shot. Sounds are placed around
+    // the listener with a PannerNode: panningModel is "equalpower" (plain
+    // stereo) or "HRTF" (front and back can be told apart, best on
+    // headphones). Distances are in field units (pixels): within
+    // refDistance a sound plays at full level, and distanceModel
+    // ("linear", "inverse" or "exponential") sets how it falls off beyond.
+    // Linear falls to silence at half the field's size for voices.
+    this.panningModel = options.panningModel || "equalpower";
+    this.distanceModel = options.distanceModel || "linear";
+    this.refDistance = options.refDistance || 50;
+    this.rolloffFactor =
+      options.rolloffFactor !== undefined ? options.rolloffFactor : 1;
+
+    // Voice settings. A voice stays with its note (a cell's tone, or one
+    // source within it) for as long as the note lasts. When more notes want
+    // a voice than there are, a newcomer louder than some voice steals one:
+    // the quietest, or with stealPolicy "oldest" the longest playing. The
+    // stolen voice fades out on a spare chain while the new note fades in,
+    // over crossfadeTime seconds.
     this.maxVoices = options.maxVoices || 16; // Maximum simultaneous voices to avoid overloading
+    this.stealPolicy = options.stealPolicy || "quietest";
+    this.crossfadeTime = options.crossfadeTime || 0.05;
+    this.releaseVoices = options.releaseVoices || 4; // Spare chains for fading out
     this.voices = [];
 
+    // Clustering. Touching active cells are merged into one blob that
+    // sounds as a single note at its centroid, so one big blast doesn't
+    // take every voice and separate events each get their own. A blob's
+    // spread detunes a second oscillator against the first, up to
+    // maxDetune cents, so large blobs sound wide. clusterCells: false
+    // gives every cell (and source within it) a voice of its own instead.
+    this.clusterCells =
+      options.clusterCells !== undefined ? options.clusterCells : true;
+    this.maxDetune = options.maxDetune || 30;
+    this.blobKeys = new Map(); // Cell index -> key of its blob last frame
+    this.nextBlobId = 1;
+
+    // Rendering mode: "voices" plays the field on the voices above,
+    // "granular" as a cloud of short grains. In granular mode every active
+    // cell (and source within it) sprays up to grainDensity grains a second
+    // at full energy, pitched to its frequency and read from the point of
+    // the grain source its phase gives. Each grain lands somewhere along the
+    // cell's path over the grainSpray seconds either side of now, so moving
+    // fronts smear out around the listener and still ones stay put. The
+    // source is a generated wavetable until loadGrainSource() is given a
+    // sample. Switch modes with setMode().
+    this.setMode(options.mode || "voices");
+    this.grainDuration = options.grainDuration || 0.08; // Seconds
+    this.grainDensity = options.grainDensity || 20;
+    this.grainSpray = options.grainSpray || 0.25;
+    this.grainGain = options.grainGain || 0.15; // Peak level of a full-energy grain
+    this.maxGrains = options.maxGrains || 64; // Grains sounding at once
+    this.grainSource = createGrainWavetable(this.audioContext, 220);
+    this.grainSourceFrequency = 220; // Pitch the source plays at unshifted
+    this.activeGrains = 0;
+
+    // Hann window every grain is shaped by, so grains start and end silent
+    this.grainWindow = new Float32Array(64);
+    this.grainWindow.forEach((_, i) => {
+      this.grainWindow[i] =
+        0.5 - 0.5 * Math.cos((i / (this.grainWindow.length - 1)) * Math.PI * 2);
+    });
+
     // Initialize voices
     this.initializeVoices();
 
-    // Listener position (usually the player's position)
+    // Listener position, velocity and facing (usually the player's)
     this.listenerPosition = { x: 0, y: 0 };
+    this.listenerVelocity = { x: 0, y: 0 };
+    this.listenerAngle = 0; // Radians, 0 = facing +x
+
+    // Speed of sound in pixels per second, for Doppler shifts. Against a
+    // ship doing up to 600 px/s this makes fly-bys swoop audibly; Infinity
+    // turns the effect off.
+    this.speedOfSound = options.speedOfSound || 2000;
+
+    // Tempo for beat-synced emitters, running on the audio clock so the
+    // beat grid is the one heard. options.transport takes Transport
+    // settings (bpm, beatsPerBar, swing, ...).
+    this.transport = new Transport({
+      getTime: () => this.audioContext.currentTime,
+      ...options.transport,
+    });
   }
 
   // Create reverb impulse response
   createReverbImpulse() {
-    const impulse = createReverbImpulse(this.audioContext, 2.0, 3.0);
+    const impulse = createReverbImpulse(
+      this.audioContext,
+      2.0,
+      3.0,
+      this.random,
+    );
     this.reverb.buffer = impulse;
   }
 
   // Initialize audio voices
   initializeVoices() {
-    for (let i = 0; i < this.maxVoices; i++) {
+    for (let i = 0; i < this.maxVoices + this.releaseVoices; i++) {
       const oscillator = this.audioContext.createOscillator();
       oscillator.type = "sine";
       oscillator.frequency.value = 440;
@@ -60,31 +144,64 @@ class AudioRenderer {
       const gain = this.audioContext.createGain();
       gain.gain.value = 0; // Start silent
 
+      const panner = this.createSpatialPanner(this.getVoiceMaxDistance());
+
+      // Second tone for interfering waves; the two beat against each other
+      const beatOscillator = this.audioContext.createOscillator();
+      beatOscillator.type = "sine";
+      beatOscillator.frequency.value = 440;
+
+      const beatGain = this.audioContext.createGain();
+      beatGain.gain.value = 0;
+
+      // Detuned copy of the main tone, faded in for spread-out blobs
+      const spreadOscillator = this.audioContext.createOscillator();
+      spreadOscillator.type = "sine";
+      spreadOscillator.frequency.value = 440;
+
+      const spreadGain = this.audioContext.createGain();
+      spreadGain.gain.value = 0;
+
       // Connect the chain
       oscillator.connect(filter);
+      beatOscillator.connect(beatGain);
+      beatGain.connect(filter);
+      spreadOscillator.connect(spreadGain);
+      spreadGain.connect(filter);
       filter.connect(gain);
-      gain.connect(this.masterGain);
+      gain.connect(panner);
+      panner.connect(this.masterGain);
 
-      // Start the oscillator
+      // Start the oscillators
       oscillator.start();
+      beatOscillator.start();
+      spreadOscillator.start();
 
       // Create the voice object
       this.voices.push({
         oscillator,
+        beatOscillator,
+        beatGain,
+        spreadOscillator,
+        spreadGain,
         filter,
         gain,
+        panner,
         reverbSend: null, // Will create on demand
+        state: "idle", // idle, active or releasing
         active: false,
         assignedCell: null,
+        key: null, // Note the voice is bound to
+        energy: 0, // Its note's energy at the last update
+        startTime: 0, // When it was bound to the note
+        releaseEnd: 0, // When a releasing voice is silent
         lastUpdate: 0,
       });
     }
   }
 
   // Create a reverb send for a voice if needed
-  getReverbSend(voiceIndex) {
-    const voice = this.voices[voiceIndex];
-
+  getReverbSend(voice) {
     if (!voice.reverbSend) {
       voice.reverbSend = this.audioContext.createGain();
       voice.reverbSend.gain.value = 0;
@@ -100,88 +217,687 @@ class AudioRenderer {
     this.listenerPosition = { x, y };
   }
 
+  // Set the listener velocity in pixels per second
+  setListenerVelocity(x, y) {
+    this.listenerVelocity = { x, y };
+  }
+
+  // Set the direction the listener faces, in radians as the ship's
+  // rotation (0 = +x, increasing clockwise on screen)
+  setListenerOrientation(angle) {
+    this.listenerAngle = angle;
+  }
+
+  // Distance beyond which a field voice is silent (with the linear model)
+  getVoiceMaxDistance() {
+    return Math.max(this.waveField.width, this.waveField.height) * 0.5;
+  }
+
+  // Create a panner that places a sound in the field around the listener
+  createSpatialPanner(maxDistance) {
+    const panner = this.audioContext.createPanner();
+    panner.panningModel = this.panningModel;
+    panner.distanceModel = this.distanceModel;
+    panner.refDistance = this.refDistance;
+    panner.maxDistance = maxDistance;
+    panner.rolloffFactor = this.rolloffFactor;
+    return panner;
+  }
+
+  // Move a panner to a point of the field at `time`, or glide there by
+  // `rampEnd` if given. A jump drops anything still scheduled, so a reused
+  // voice doesn't slide over from its last note. The field is the audio
+  // x-z plane: field y runs along audio z.
+  setPannerPosition(panner, x, y, time, rampEnd = null) {
+    if (!panner.positionX) {
+      panner.setPosition(x, 0, y); // Older implementations
+      return;
+    }
+
+    if (rampEnd === null) {
+      [
+        [panner.positionX, x],
+        [panner.positionY, 0],
+        [panner.positionZ, y],
+      ].forEach(([param, value]) => {
+        param.cancelScheduledValues(time);
+        param.setValueAtTime(value, time);
+      });
+    } else {
+      this.rampParam(panner.positionX, x, time, rampEnd);
+      this.rampParam(panner.positionY, 0, time, rampEnd);
+      this.rampParam(panner.positionZ, y, time, rampEnd);
+    }
+  }
+
+  // Glide an AudioParam to `value` by `rampEnd`, starting from the value it
+  // has at `time`. Ramps left over from earlier updates are dropped, so the
+  // glide starts where the param is rather than at its last scheduled event.
+  rampParam(param, value, time, rampEnd) {
+    param.cancelScheduledValues(time);
+    param.setValueAtTime(param.value, time);
+    param.linearRampToValueAtTime(value, rampEnd);
+  }
+
+  // Put the audio listener where the player is, facing the way they face.
+  // With up along audio +y, the listener's right is the ship's right on
+  // screen. Position and facing glide from `time` to `rampEnd`.
+  updateListener(time, rampEnd) {
+    const listener = this.audioContext.listener;
+    const { x, y } = this.listenerPosition;
+    const forwardX = Math.cos(this.listenerAngle);
+    const forwardZ = Math.sin(this.listenerAngle);
+
+    if (!listener.positionX) {
+      listener.setPosition(x, 0, y); // Older implementations
+      listener.setOrientation(forwardX, 0, forwardZ, 0, 1, 0);
+      return;
+    }
+
+    this.rampParam(listener.positionX, x, time, rampEnd);
+    this.rampParam(listener.positionZ, y, time, rampEnd);
+    this.rampParam(listener.forwardX, forwardX, time, rampEnd);
+    listener.forwardY.value = 0;
+    this.rampParam(listener.forwardZ, forwardZ, time, rampEnd);
+    listener.upX.value = 0;
+    listener.upY.value = 1;
+    listener.upZ.value = 0;
+  }
+
+  // Pitch ratio heard from a source at `position` moving at `velocity`.
+  // Both it and the listener are projected `time` seconds ahead along their
+  // velocities, so a one-shot can glide from now to its end. Speeds are
+  // capped below the speed of sound to keep the ratio finite.
+  getDopplerFactor(position, velocity, time = 0) {
+    const c = this.speedOfSound;
+    if (!Number.isFinite(c) || c <= 0) return 1;
+
+    const listener = this.listenerPosition;
+    const listenerVelocity = this.listenerVelocity;
+    const dx =
+      listener.x + listenerVelocity.x * time - position.x - velocity.x * time;
+    const dy =
+      listener.y + listenerVelocity.y * time - position.y - velocity.y * time;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    if (distance === 0) return 1;
+
+    // Speeds along the line from source to listener
+    const maxSpeed = c * 0.9;
+    const sourceSpeed = Math.max(
+      -maxSpeed,
+      Math.min(maxSpeed, (velocity.x * dx + velocity.y * dy) / distance),
+    );
+    const listenerSpeed = Math.max(
+      -maxSpeed,
+      Math.min(
+        maxSpeed,
+        (listenerVelocity.x * dx + listenerVelocity.y * dy) / distance,
+      ),
+    );
+
+    return (c - listenerSpeed) / (c - sourceSpeed);
+  }
+
   // Update audio based on wave field state
   update() {
     const currentTime = this.audioContext.currentTime;
+    this.updateListener(currentTime, currentTime + 0.05);
+
+    // Let go of voices whose notes have ended, and free finished releases.
+    // In granular mode no notes want voices, so any still playing fade out.
+    const notes = this.mode === "voices" ? this.collectNotes() : [];
+    const notesByKey = new Map(notes.map((note) => [note.key, note]));
+    this.voices.forEach((voice) => {
+      if (voice.state === "active" && !notesByKey.has(voice.key)) {
+        this.releaseVoice(voice, currentTime, 0.1); // Fade out to avoid clicks
+      } else if (
+        voice.state === "releasing" &&
+        currentTime >= voice.releaseEnd
+      ) {
+        voice.state = "idle";
+      }
+    });
+
+    // Bind new notes, loudest first, then update every bound voice
+    const boundVoices = new Map();
+    this.voices.forEach((voice) => {
+      if (voice.state === "active") boundVoices.set(voice.key, voice);
+    });
+
+    notes.forEach((note) => {
+      if (boundVoices.has(note.key)) return;
 
-    // Get active cells from wave field
-    const activeCells = this.waveField
-      .getActiveCells(0.05)
-      .sort((a, b) => b.cell.energy - a.cell.energy) // Sort by energy (highest first)
-      .slice(0, this.maxVoices); // Limit to max voices
-
-    // First, silence all inactive voices
-    for (let i = 0; i < this.voices.length; i++) {
-      if (i >= activeCells.length) {
-        const voice = this.voices[i];
-
-        if (voice.active) {
-          // Fade out to avoid clicks
-          voice.gain.gain.exponentialRampToValueAtTime(
-            0.001,
-            currentTime + 0.1,
-          );
-          voice.active = false;
-          voice.assignedCell = null;
+      const voice = this.allocateVoice(note, currentTime);
+      if (voice) {
+        this.bindVoice(voice, note, currentTime);
+        boundVoices.set(note.key, voice);
+      }
+    });
+
+    boundVoices.forEach((voice, key) => {
+      this.updateVoice(voice, notesByKey.get(key), currentTime);
+    });
+
+    if (this.mode === "granular") {
+      this.updateGrains(currentTime);
+    }
+  }
+
+  // Switch between "voices" and "granular" rendering
+  setMode(mode) {
+    if (mode !== "voices" && mode !== "granular") {
+      throw new Error(`Unknown audio mode: ${mode}`);
+    }
+    this.mode = mode;
+    this.lastGrainTime = null; // Grains start counting from the next update
+  }
+
+  // Play grains from a sample instead of the generated wavetable: an
+  // AudioBuffer, encoded audio in an ArrayBuffer, or a URL to fetch it
+  // from. rootFrequency is the pitch the sample plays at unshifted. Returns
+  // a promise that resolves once grains use it.
+  loadGrainSource(source, rootFrequency = 261.63) {
+    let loading = Promise.resolve(source);
+    if (typeof source === "string") {
+      loading = fetch(source).then((response) => {
+        if (!response.ok) {
+          throw new Error(`Couldn't load grain source: ${response.status}`);
         }
+        return response.arrayBuffer();
+      });
+    }
+
+    return loading
+      .then((data) =>
+        data instanceof ArrayBuffer
+          ? this.audioContext.decodeAudioData(data)
+          : data,
+      )
+      .then((buffer) => {
+        this.grainSource = buffer;
+        this.grainSourceFrequency = rootFrequency;
+      });
+  }
+
+  // Spawn grains for the time since the last update, at random moments
+  // through it. A cell's expected number of grains is rounded up or down
+  // at random, so quiet cells still sound now and then. Louder cells go
+  // first when maxGrains runs short.
+  updateGrains(currentTime) {
+    const elapsed =
+      this.lastGrainTime === null
+        ? 0
+        : Math.min(0.1, currentTime - this.lastGrainTime);
+    this.lastGrainTime = currentTime;
+    if (elapsed <= 0) return;
+
+    const notes = this.collectCellNotes(
+      this.waveField.getActiveCells(0.05),
+    ).sort((a, b) => b.tone.energy - a.tone.energy);
+
+    for (const note of notes) {
+      const count = Math.floor(
+        note.tone.energy * this.grainDensity * elapsed + this.random(),
+      );
+      for (let i = 0; i < count; i++) {
+        if (this.activeGrains >= this.maxGrains) return;
+        this.playGrain(note, currentTime + this.random() * elapsed);
       }
     }
+  }
+
+  // Play one grain of a note at `time`
+  playGrain(note, time) {
+    const { tone } = note;
+    const velocity = this.getNoteVelocity(note);
+    const doppler = this.getDopplerFactor(
+      { x: note.worldX, y: note.worldY },
+      velocity,
+    );
+    const rate = (tone.frequency * doppler) / this.grainSourceFrequency;
+
+    // Read from where the cell's phase points, leaving room for the grain
+    const buffer = this.grainSource;
+    const span = this.grainDuration * rate;
+    const offset =
+      Math.max(0, buffer.duration - span) * (note.phase / (Math.PI * 2));
+
+    // Scatter along the cell's direction of travel
+    const spray = (this.random() * 2 - 1) * this.grainSpray;
+    const x = note.worldX + velocity.x * spray;
+    const y = note.worldY + velocity.y * spray;
+
+    const source = this.audioContext.createBufferSource();
+    source.buffer = buffer;
+    source.loop = true; // Grains reading past the end wrap round
+    source.playbackRate.value = rate;
+
+    const gain = this.audioContext.createGain();
+    gain.gain.value = 0;
+    gain.gain.setValueCurveAtTime(
+      this.grainWindow.map((value) => value * tone.energy * this.grainGain),
+      time,
+      this.grainDuration,
+    );
+
+    const panner = this.createSpatialPanner(this.getVoiceMaxDistance());
+    this.setPannerPosition(panner, x, y, this.audioContext.currentTime);
+
+    source.connect(gain);
+    gain.connect(panner);
+    panner.connect(this.masterGain);
 
-    // Then, assign voices to active cells
-    activeCells.forEach((cellData, index) => {
-      if (index < this.voices.length) {
-        const voice = this.voices[index];
-        const { cell, worldX, worldY } = cellData;
-
-        // Calculate distance from listener for spatial audio
-        const dx = worldX - this.listenerPosition.x;
-        const dy = worldY - this.listenerPosition.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-
-        // Max audible distance
-        const maxDistance =
-          Math.max(this.waveField.width, this.waveField.height) * 0.5;
-
-        // Calculate attenuation based on distance
-        const attenuation = Math.max(0, 1 - distance / maxDistance);
-
-        // Calculate pan position (-1 to 1)
-        const pan = Math.max(-1, Math.min(1, dx / (maxDistance * 0.5)));
-
-        // Set oscillator properties
-        voice.oscillator.type = this.getOscillatorTypeForCell(cell);
-        voice.oscillator.frequency.exponentialRampToValueAtTime(
-          cell.frequency,
-          currentTime + 0.05,
-        );
-
-        // Set filter properties
-        voice.filter.type = this.getFilterTypeForCell(cell);
-        voice.filter.frequency.exponentialRampToValueAtTime(
-          this.getFilterFrequencyForCell(cell),
-          currentTime + 0.05,
-        );
-        voice.filter.Q.value = 2 + cell.energy * 8; // Higher energy = more resonance
-
-        // Set gain based on energy and distance
-        const targetGain = cell.energy * attenuation * 0.2;
-        voice.gain.gain.exponentialRampToValueAtTime(
-          Math.max(0.001, targetGain),
-          currentTime + 0.05,
-        );
-
-        // Set reverb send level
-        const reverbSend = this.getReverbSend(index);
-        reverbSend.gain.exponentialRampToValueAtTime(
-          cell.energy * 0.3,
-          currentTime + 0.1,
-        );
-
-        voice.active = true;
-        voice.assignedCell = cellData.index;
-        voice.lastUpdate = currentTime;
+    source.start(time, offset);
+    source.stop(time + this.grainDuration);
+    this.activeGrains++;
+
+    // Clean up
+    source.onended = () => {
+      this.activeGrains--;
+      source.disconnect();
+      gain.disconnect();
+      panner.disconnect();
+    };
+  }
+
+  // Notes the field wants heard, loudest first: one per blob of touching
+  // cells, or with clustering off one per cell and source. A note is
+  //   { key, index, worldX, worldY, velocity, phase, tone, beatFrequency,
+  //     beatDepth, spread }
+  // where tone has the energy, frequency and color to play, index is its
+  // strongest cell and phase that cell's, velocity is in field units per
+  // step like a cell's, and spread is how far its energy reaches from its
+  // position (pixels).
+  collectNotes() {
+    const activeCells = this.waveField.getActiveCells(0.05);
+    const notes = this.clusterCells
+      ? this.collectBlobNotes(activeCells)
+      : this.collectCellNotes(activeCells);
+
+    return notes.sort((a, b) => b.tone.energy - a.tone.energy); // Sort by energy (highest first)
+  }
+
+  // A note per active cell. Each source layer of a cell is a note of its
+  // own, so where sources overlap they sound as a chord instead of one
+  // averaged pitch. Cells without layers play their blended tone.
+  collectCellNotes(activeCells) {
+    const notes = [];
+    activeCells.forEach(({ cell, index, worldX, worldY }) => {
+      const note = {
+        index,
+        worldX,
+        worldY,
+        velocity: cell.velocity,
+        phase: cell.phase,
+        beatFrequency: cell.beatFrequency,
+        beatDepth: cell.beatDepth,
+        spread: 0,
+      };
+
+      const sources = cell.sources;
+      if (sources.length === 0) {
+        notes.push({ ...note, key: `${index}`, tone: cell });
+        return;
       }
+
+      // The interfering tone belongs to the cell's blend, so only its main
+      // note beats
+      sources.forEach((tone, k) => {
+        if (tone.energy > 0.02) {
+          notes.push({
+            ...note,
+            key: `${index}:${tone.source}`,
+            tone,
+            beatDepth: k === 0 ? note.beatDepth : 0,
+          });
+        }
+      });
     });
+
+    return notes;
+  }
+
+  // A note per blob of touching active cells (diagonals count). It sounds
+  // at the blob's energy-weighted centroid with the pitch and color of its
+  // strongest source. Its energy adds up the cells as incoherent sources,
+  // so a big blob is louder than one cell but not by its cell count.
+  collectBlobNotes(activeCells) {
+    const res = this.waveField.resolution;
+    const byIndex = new Map(activeCells.map((data) => [data.index, data]));
+    const visited = new Set();
+    const blobKeys = new Map();
+    const claimed = new Set();
+    const notes = [];
+
+    activeCells.forEach((start) => {
+      if (visited.has(start.index)) return;
+
+      // Flood fill the blob
+      const blob = [];
+      const stack = [start];
+      visited.add(start.index);
+      while (stack.length > 0) {
+        const data = stack.pop();
+        blob.push(data);
+
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const x = data.x + dx;
+            const y = data.y + dy;
+            if (x < 0 || x >= res || y < 0 || y >= res) continue;
+
+            const neighbor = byIndex.get(y * res + x);
+            if (neighbor && !visited.has(neighbor.index)) {
+              visited.add(neighbor.index);
+              stack.push(neighbor);
+            }
+          }
+        }
+      }
+
+      const note = this.summarizeBlob(blob);
+
+      // Keep the key of the blob that held most of these cells last frame,
+      // so its voice stays with it as it moves, grows or splits
+      const votes = new Map();
+      blob.forEach(({ index }) => {
+        const key = this.blobKeys.get(index);
+        if (key !== undefined && !claimed.has(key)) {
+          votes.set(key, (votes.get(key) || 0) + 1);
+        }
+      });
+      let key = null;
+      let mostVotes = 0;
+      votes.forEach((count, candidate) => {
+        if (count > mostVotes) {
+          mostVotes = count;
+          key = candidate;
+        }
+      });
+      if (key === null) {
+        key = `blob${this.nextBlobId++}`;
+      }
+      claimed.add(key);
+      blob.forEach(({ index }) => blobKeys.set(index, key));
+
+      notes.push({ ...note, key });
+    });
+
+    this.blobKeys = blobKeys;
+    return notes;
+  }
+
+  // Position, motion, loudness, pitch and spread of a blob of cells
+  summarizeBlob(blob) {
+    let totalEnergy = 0;
+    let squaredEnergy = 0;
+    let worldX = 0;
+    let worldY = 0;
+    let velocityX = 0;
+    let velocityY = 0;
+    let beatFrequency = 0;
+    let beatDepth = 0;
+    let strongest = blob[0];
+
+    // Energy, frequency and color per source; "" for cells' blended tone
+    const sources = new Map();
+    const addTone = (source, energy, frequency, color) => {
+      const entry = sources.get(source) || {
+        energy: 0,
+        frequency: 0,
+        color: [0, 0, 0],
+      };
+      entry.energy += energy;
+      entry.frequency += frequency * energy;
+      color.forEach((value, i) => {
+        entry.color[i] += value * energy;
+      });
+      sources.set(source, entry);
+    };
+
+    blob.forEach((data) => {
+      const { cell } = data;
+      const energy = cell.energy;
+      const velocity = cell.velocity;
+
+      totalEnergy += energy;
+      squaredEnergy += energy * energy;
+      worldX += data.worldX * energy;
+      worldY += data.worldY * energy;
+      velocityX += velocity.x * energy;
+      velocityY += velocity.y * energy;
+      beatFrequency += cell.beatFrequency * energy;
+      beatDepth += cell.beatDepth * energy;
+      if (energy > strongest.cell.energy) strongest = data;
+
+      const layers = cell.sources;
+      if (layers.length === 0) {
+        addTone("", energy, cell.frequency, cell.color);
+      } else {
+        layers.forEach((layer) => {
+          addTone(layer.source, layer.energy, layer.frequency, layer.color);
+        });
+      }
+    });
+
+    worldX /= totalEnergy;
+    worldY /= totalEnergy;
+
+    // How far the energy reaches from the centroid (energy-weighted RMS)
+    let spread = 0;
+    blob.forEach((data) => {
+      const dx = data.worldX - worldX;
+      const dy = data.worldY - worldY;
+      spread += (dx * dx + dy * dy) * data.cell.energy;
+    });
+    spread = Math.sqrt(spread / totalEnergy);
+
+    let dominant = null;
+    sources.forEach((entry) => {
+      if (!dominant || entry.energy > dominant.energy) dominant = entry;
+    });
+
+    return {
+      index: strongest.index,
+      worldX,
+      worldY,
+      velocity: { x: velocityX / totalEnergy, y: velocityY / totalEnergy },
+      phase: strongest.cell.phase,
+      tone: {
+        energy: Math.min(1, Math.sqrt(squaredEnergy)),
+        frequency: dominant.frequency / dominant.energy,
+        color: dominant.color.map((value) => value / dominant.energy),
+      },
+      beatFrequency: beatFrequency / totalEnergy,
+      beatDepth: beatDepth / totalEnergy,
+      spread,
+    };
+  }
+
+  // Find a voice for a new note: a free one while fewer than maxVoices are
+  // playing, otherwise one stolen from a quieter note per stealPolicy.
+  // Either way the note gets a chain that is already silent, so a stolen
+  // or released voice always fades out in full. Returns null if every
+  // playing voice is louder than the note, or every spare chain is still
+  // fading out (the note can try again next update).
+  allocateVoice(note, time) {
+    const free = this.voices.find(
+      (voice) =>
+        voice.state === "idle" ||
+        (voice.state === "releasing" && voice.releaseEnd <= time),
+    );
+    if (!free) return null;
+
+    const playing = this.voices.filter((voice) => voice.state === "active");
+
+    if (playing.length >= this.maxVoices) {
+      const candidates = playing.filter(
+        (voice) => voice.energy < note.tone.energy,
+      );
+      if (candidates.length === 0) return null;
+
+      const victim = candidates.reduce((best, voice) => {
+        if (this.stealPolicy === "oldest") {
+          return voice.startTime < best.startTime ? voice : best;
+        }
+        return voice.energy < best.energy ? voice : best;
+      });
+      this.releaseVoice(victim, time, this.crossfadeTime);
+    }
+
+    return free;
+  }
+
+  // Start a voice on a note: jump straight to its pitch and place while
+  // silent, then fade in over the crossfade time (see updateVoice)
+  bindVoice(voice, note, time) {
+    const frequency = note.tone.frequency;
+
+    voice.gain.gain.cancelScheduledValues(time);
+    voice.gain.gain.setValueAtTime(0.001, time);
+    voice.oscillator.frequency.cancelScheduledValues(time);
+    voice.oscillator.frequency.setValueAtTime(frequency, time);
+    voice.beatOscillator.frequency.cancelScheduledValues(time);
+    voice.beatOscillator.frequency.setValueAtTime(frequency, time);
+    voice.spreadOscillator.frequency.cancelScheduledValues(time);
+    voice.spreadOscillator.frequency.setValueAtTime(frequency, time);
+    this.setPannerPosition(voice.panner, note.worldX, note.worldY, time);
+
+    voice.state = "active";
+    voice.active = true;
+    voice.key = note.key;
+    voice.energy = note.tone.energy;
+    voice.startTime = time;
+  }
+
+  // Fade a voice out over `fadeTime` and free it once silent
+  releaseVoice(voice, time, fadeTime) {
+    // Fade from the level it has now, not from its last scheduled target
+    voice.gain.gain.cancelScheduledValues(time);
+    voice.gain.gain.setValueAtTime(
+      Math.max(0.001, voice.gain.gain.value),
+      time,
+    );
+    voice.gain.gain.exponentialRampToValueAtTime(0.001, time + fadeTime);
+
+    voice.state = "releasing";
+    voice.active = false;
+    voice.assignedCell = null;
+    voice.key = null;
+    voice.energy = 0;
+    voice.releaseEnd = time + fadeTime;
+  }
+
+  // Follow a voice's note: pitch, timbre, position and level. A voice
+  // bound this frame fades in over the crossfade time.
+  updateVoice(voice, note, currentTime) {
+    const { tone, worldX, worldY } = note;
+    const fadeEnd =
+      voice.startTime === currentTime
+        ? currentTime + this.crossfadeTime
+        : currentTime + 0.05;
+
+    // Place the voice at its cell; the panner handles direction and
+    // distance falloff
+    voice.panner.maxDistance = this.getVoiceMaxDistance();
+    this.setPannerPosition(
+      voice.panner,
+      worldX,
+      worldY,
+      currentTime,
+      currentTime + 0.05,
+    );
+
+    // Doppler shift against the listener
+    const doppler = this.getDopplerFactor(
+      { x: worldX, y: worldY },
+      this.getNoteVelocity(note),
+    );
+
+    // Set oscillator properties
+    voice.oscillator.type = this.getOscillatorTypeForCell(tone);
+    voice.oscillator.frequency.exponentialRampToValueAtTime(
+      tone.frequency * doppler,
+      currentTime + 0.05,
+    );
+
+    // Sound the interfering tone, if any, so the two beat audibly
+    voice.beatOscillator.type = voice.oscillator.type;
+    voice.beatOscillator.frequency.exponentialRampToValueAtTime(
+      Math.max(1, (tone.frequency + note.beatFrequency) * doppler),
+      currentTime + 0.05,
+    );
+    voice.beatGain.gain.linearRampToValueAtTime(
+      note.beatDepth,
+      currentTime + 0.05,
+    );
+
+    // Widen spread-out notes: the main tone and its copy are detuned apart
+    // as the spread nears a tenth of the field's size
+    const width = Math.min(
+      1,
+      note.spread /
+        (Math.max(this.waveField.width, this.waveField.height) * 0.1),
+    );
+    const detune = (this.maxDetune * width) / 2;
+    voice.oscillator.detune.linearRampToValueAtTime(
+      -detune,
+      currentTime + 0.05,
+    );
+    voice.spreadOscillator.type = voice.oscillator.type;
+    voice.spreadOscillator.frequency.exponentialRampToValueAtTime(
+      tone.frequency * doppler,
+      currentTime + 0.05,
+    );
+    voice.spreadOscillator.detune.linearRampToValueAtTime(
+      detune,
+      currentTime + 0.05,
+    );
+    voice.spreadGain.gain.linearRampToValueAtTime(
+      width * 0.5,
+      currentTime + 0.05,
+    );
+
+    // Set filter properties
+    voice.filter.type = this.getFilterTypeForCell(tone);
+    voice.filter.frequency.exponentialRampToValueAtTime(
+      this.getFilterFrequencyForCell(tone),
+      currentTime + 0.05,
+    );
+    voice.filter.Q.value = 2 + tone.energy * 8; // Higher energy = more resonance
+
+    // Set gain based on energy
+    const targetGain = tone.energy * 0.2;
+    voice.gain.gain.exponentialRampToValueAtTime(
+      Math.max(0.001, targetGain),
+      fadeEnd,
+    );
+
+    // Set reverb send level
+    const reverbSend = this.getReverbSend(voice);
+    reverbSend.gain.exponentialRampToValueAtTime(
+      tone.energy * 0.3,
+      currentTime + 0.1,
+    );
+
+    voice.assignedCell = note.index;
+    voice.energy = tone.energy;
+    voice.lastUpdate = currentTime;
+  }
+
+  // A note's velocity in pixels per second. Field content drifts at its
+  // advection velocity, given in cells per step.
+  getNoteVelocity(note) {
+    return {
+      x:
+        note.velocity.x *
+        this.waveField.advectionSpeed *
+        this.waveField.cellWidth,
+      y:
+        note.velocity.y *
+        this.waveField.advectionSpeed *
+        this.waveField.cellHeight,
+    };
   }
 
   // Get oscillator type based on cell properties
@@ -219,7 +935,6 @@ class AudioRenderer {
     const oscillator = this.audioContext.createOscillator();
     const filter = this.audioContext.createBiquadFilter();
     const gain = this.audioContext.createGain();
-    const panner = this.audioContext.createStereoPanner();
 
     // Calculate distance from listener
     const dx = wave.position.x - this.listenerPosition.x;
@@ -233,26 +948,45 @@ class AudioRenderer {
     // Skip if too far away
     if (distance > maxDistance) return;
 
-    // Calculate attenuation and pan
-    const attenuation = Math.max(0, 1 - distance / maxDistance);
-    const pan = Math.max(-1, Math.min(1, dx / (maxDistance * 0.5)));
+    // Placed where it was emitted, fading with distance like the voices
+    const panner = this.createSpatialPanner(maxDistance);
+    this.setPannerPosition(
+      panner,
+      wave.position.x,
+      wave.position.y,
+      this.audioContext.currentTime,
+    );
+
+    // Doppler shift at the start and end of the sound, so it glides as
+    // the emitter and listener move past each other
+    const duration = 0.1 + wave.intensity * 0.5;
+    const sourceVelocity = wave.velocity || { x: 0, y: 0 };
+    const dopplerStart = this.getDopplerFactor(wave.position, sourceVelocity);
+    const dopplerEnd = this.getDopplerFactor(
+      wave.position,
+      sourceVelocity,
+      duration,
+    );
 
     // Set properties
     oscillator.type = wave.oscillatorType || "sine";
-    oscillator.frequency.value = wave.frequency;
 
     filter.type = wave.filterType || "lowpass";
     filter.frequency.value = wave.filterFrequency || 1000;
     filter.Q.value = wave.filterQ || 1;
 
-    panner.pan.value = pan;
+    // Set envelope. Beat-synced waves arrive ahead of time and start on
+    // their grid point.
+    const now = this.audioContext.currentTime + (wave.scheduleDelay || 0);
 
-    // Set envelope
-    const now = this.audioContext.currentTime;
-    const duration = 0.1 + wave.intensity * 0.5;
+    oscillator.frequency.setValueAtTime(wave.frequency * dopplerStart, now);
+    oscillator.frequency.exponentialRampToValueAtTime(
+      wave.frequency * dopplerEnd,
+      now + duration,
+    );
 
     gain.gain.setValueAtTime(0, now);
-    gain.gain.linearRampToValueAtTime(wave.gain * attenuation, now + 0.01);
+    gain.gain.linearRampToValueAtTime(wave.gain, now + 0.01);
     gain.gain.exponentialRampToValueAtTime(0.001, now + duration);
 
     // Connect chain
@@ -277,7 +1011,14 @@ class AudioRenderer {
       // Create a more complex sound with better attack
       const oscillator2 = this.audioContext.createOscillator();
       oscillator2.type = "sawtooth"; // More aggressive sound
-      oscillator2.frequency.value = wave.frequency * 0.5; // Sub-oscillator
+      oscillator2.frequency.setValueAtTime(
+        wave.frequency * 0.5 * dopplerStart,
+        now,
+      ); // Sub-oscillator
+      oscillator2.frequency.exponentialRampToValueAtTime(
+        wave.frequency * 0.5 * dopplerEnd,
+        now + duration,
+      );
 
       const distortion = this.audioContext.createWaveShaper();
       function makeDistortionCurve(amount) {
@@ -304,20 +1045,18 @@ class AudioRenderer {
 
       // Improved envelope with faster attack
       gain.gain.setValueAtTime(0, now);
-      gain.gain.linearRampToValueAtTime(
-        wave.gain * 2.0 * attenuation,
-        now + 0.005,
-      ); // Faster attack
-      gain.gain.exponentialRampToValueAtTime(
-        wave.gain * 0.6 * attenuation,
-        now + 0.001,
-      );
+      gain.gain.linearRampToValueAtTime(wave.gain * 2.0, now + 0.005); // Faster attack
+      gain.gain.exponentialRampToValueAtTime(wave.gain * 0.6, now + 0.001);
       gain.gain.exponentialRampToValueAtTime(0.001, now + duration);
 
       // Add a subtle pitch drop for the weapon
-      oscillator.frequency.setValueAtTime(wave.frequency * 1.1, now); // Start slightly higher
+      oscillator.frequency.cancelScheduledValues(now);
+      oscillator.frequency.setValueAtTime(
+        wave.frequency * 1.1 * dopplerStart,
+        now,
+      ); // Start slightly higher
       oscillator.frequency.exponentialRampToValueAtTime(
-        wave.frequency * 0.9,
+        wave.frequency * 0.9 * dopplerEnd,
         now + duration,
       );
 
@@ -326,7 +1065,7 @@ class AudioRenderer {
           oscillator2.disconnect();
           distortion.disconnect();
         },
-        (duration + 0.2) * 1000,
+        ((wave.scheduleDelay || 0) + duration + 0.2) * 1000,
       );
     }
 
@@ -338,7 +1077,7 @@ class AudioRenderer {
         gain.disconnect();
         panner.disconnect();
       },
-      (duration + 0.2) * 1000,
+      ((wave.scheduleDelay || 0) + duration + 0.2) * 1000,
     );
   }
 
@@ -348,8 +1087,15 @@ class AudioRenderer {
     this.voices.forEach((voice) => {
       voice.oscillator.stop();
       voice.oscillator.disconnect();
+      voice.beatOscillator.stop();
+      voice.beatOscillator.disconnect();
+      voice.beatGain.disconnect();
+      voice.spreadOscillator.stop();
+      voice.spreadOscillator.disconnect();
+      voice.spreadGain.disconnect();
       voice.filter.disconnect();
       voice.gain.disconnect();
+      voice.panner.disconnect();
       if (voice.reverbSend) {
         voice.reverbSend.disconnect();
       }
@@ -0,0 +1,154 @@
+// Conductor.js - Key, mode and chord progression shared by every emitter
+
+import { defineScale, getScale, parseNote } from "./Tuning.js";
+
+// Scale degrees of roman numerals (case is ignored: chords are built from
+// the mode, so "ii" and "II" are the same chord)
+const NUMERALS = ["I", "II", "III", "IV", "V", "VI", "VII"];
+
+// A chord as { degree, seventh }: a 0-based scale degree, a roman numeral
+// such as "IV" or "V7", or the object itself
+function parseChord(chord) {
+  if (typeof chord === "number") {
+    return { degree: chord, seventh: false };
+  }
+  if (typeof chord === "object" && chord !== null) {
+    return { degree: chord.degree, seventh: Boolean(chord.seventh) };
+  }
+
+  const match = /^([iv]+)(7)?$/i.exec(String(chord).trim());
+  const degree = match ? NUMERALS.indexOf(match[1].toUpperCase()) : -1;
+  if (degree === -1) {
+    throw new Error(`Unknown chord: ${chord}`);
+  }
+  return { degree, seventh: match[2] === "7" };
+}
+
+// Owns the current key, mode and chord and keeps two scales in the tuning
+// registry up to date with them: "key" (the mode on the key's root) and
+// "chord" (the current chord's tones). Emitters with those as their
+// scaleType follow along as the music moves. The progression advances
+// every barsPerChord bars of the transport, and/or whenever advance() is
+// called, e.g. on game events.
+class Conductor {
+  constructor(options = {}) {
+    this.transport = options.transport || null;
+    this.barsPerChord =
+      options.barsPerChord !== undefined ? options.barsPerChord : 2; // 0 = only on advance()
+
+    // Names of the scales this conductor maintains
+    this.keyScale = options.keyScale || "key";
+    this.chordScale = options.chordScale || "chord";
+
+    // Called with the conductor whenever the key or chord changes
+    this.onChange = options.onChange || null;
+
+    this.key = options.key || "A";
+    this.mode = options.mode || "minor";
+    this.progression = (options.progression || ["I"]).map(parseChord);
+    this.chordIndex = 0;
+    this.nextChangeBar = null; // Transport bar of the next scheduled change
+
+    this.applyHarmony();
+  }
+
+  // The chord being played, as { degree, seventh }
+  get chord() {
+    return this.progression[this.chordIndex];
+  }
+
+  // Change key and/or mode, keeping the place in the progression
+  setKey(key, mode = this.mode) {
+    this.key = key;
+    this.mode = mode;
+    this.applyHarmony();
+  }
+
+  // Replace the progression and start it from `index`
+  setProgression(progression, index = 0) {
+    if (progression.length === 0) {
+      throw new Error("A progression needs at least one chord");
+    }
+    this.progression = progression.map(parseChord);
+    this.chordIndex = index % this.progression.length;
+    this.applyHarmony();
+  }
+
+  // Move `steps` chords along the progression (wrapping round)
+  advance(steps = 1) {
+    const length = this.progression.length;
+    this.chordIndex = (((this.chordIndex + steps) % length) + length) % length;
+    this.applyHarmony();
+  }
+
+  // Advance on the transport's bar lines. Call once per frame.
+  update() {
+    if (!this.transport || !(this.barsPerChord > 0)) return;
+
+    const bar = this.transport.getPosition().bar - 1;
+    if (this.nextChangeBar === null) {
+      this.nextChangeBar = bar + this.barsPerChord;
+      return;
+    }
+
+    if (bar >= this.nextChangeBar) {
+      // After a long pause more than one change may be due
+      const changes =
+        Math.floor((bar - this.nextChangeBar) / this.barsPerChord) + 1;
+      this.nextChangeBar += changes * this.barsPerChord;
+      this.advance(changes);
+    }
+  }
+
+  // Redefine the key and chord scales for the current harmony
+  applyHarmony() {
+    const { steps } = getScale(this.mode);
+    if (!steps) {
+      throw new Error(`Mode "${this.mode}" must be a scale of semitone steps`);
+    }
+
+    // Semitones above the key's root of scale degree i, in any octave
+    const semitones = (i) =>
+      steps[i % steps.length] + Math.floor(i / steps.length) * 12;
+
+    const root = parseNote(this.key);
+    const { degree, seventh } = this.chord;
+    const tones = seventh ? [0, 2, 4, 6] : [0, 2, 4];
+    const chordRoot = semitones(degree);
+
+    defineScale(this.keyScale, { steps, root });
+    defineScale(this.chordScale, {
+      steps: tones.map((tone) => semitones(degree + tone) - chordRoot),
+      root: root + chordRoot,
+    });
+
+    if (typeof this.onChange === "function") {
+      this.onChange(this);
+    }
+  }
+
+  // Plain-object state
+  toJSON() {
+    return {
+      key: this.key,
+      mode: this.mode,
+      progression: this.progression.map((chord) => ({ ...chord })),
+      chordIndex: this.chordIndex,
+      barsPerChord: this.barsPerChord,
+      nextChangeBar: this.nextChangeBar,
+    };
+  }
+
+  // Apply state from toJSON()
+  loadJSON(data) {
+    this.key = data.key;
+    this.mode = data.mode;
+    this.progression = data.progression.map(parseChord);
+    this.chordIndex = data.chordIndex;
+    this.barsPerChord = data.barsPerChord;
+    this.nextChangeBar = data.nextChangeBar;
+    this.applyHarmony();
+  }
+}
+
+export default Conductor;
@@ -1,57 +1,102 @@
 // Emitter.js - Creates and manages wave emitters with audio and visual properties
 
-import { getPlayerColor, snapToScale } from "./Utils.js";
+import { getPlayerColor, systemClock } from "./Utils.js";
+import { snapToScale, stepInScale, getScaleLength } from "./Tuning.js";
+import { getEmitterType } from "./EmitterTypes.js";
+import {
+  createModulation,
+  evaluateEnvelope,
+  isEnvelopeReleasing,
+  evaluateLFO,
+  applyModulation,
+  clampModulated,
+} from "./Modulation.js";
+import {
+  createSequence,
+  getSequenceLength,
+  getSequenceStep,
+} from "./Sequence.js";
 
 class Emitter {
   constructor(options = {}) {
+    // Sources of randomness and time (see createRandom / createManualClock
+    // in Utils.js for deterministic runs)
+    this.random = options.random || Math.random;
+    this.clock = options.clock || systemClock;
+
     // Basic properties
-    this.id = options.id || Math.random().toString(36).substring(7);
+    this.id = options.id || this.random().toString(36).substring(7);
     this.type = options.type || "default"; // thruster, weapon, explosion, etc.
+    this.preset = getEmitterType(this.type); // Defaults for this type (see EmitterTypes.js)
     this.playerId = options.playerId || 0;
     this.position = options.position || { x: 0, y: 0 };
+    this.velocity = options.velocity || { x: 0, y: 0 }; // Pixels per second, stamped on waves for Doppler
     this.active = options.active !== undefined ? options.active : true;
     this.angle = options.angle || 0; // Direction in radians
 
     // Wave properties
     this.spreadAngle =
-      options.spreadAngle !== undefined ? options.spreadAngle : 360; // Degrees (360 = omnidirectional)
+      options.spreadAngle !== undefined
+        ? options.spreadAngle
+        : this.preset.spreadAngle; // Degrees (360 = omnidirectional)
     this.waveSpeed = options.waveSpeed || 200; // Pixels per second
-    this.waveDensity = options.waveDensity || 1.0; // How many waves to emit per second
+    this.waveDensity = options.waveDensity || this.preset.waveDensity; // How many waves to emit per second
+    this.phase = options.phase || 0; // Phase offset in radians (for interference)
     this.lastEmitTime = 0;
 
+    // Beat-synced emission: with a transport and a rate such as "1/8",
+    // waves go out on that note grid instead of every 1 / waveDensity
+    // seconds, scheduled up to the transport's lookahead ahead
+    this.transport = options.transport || null;
+    this.rate = options.rate || this.preset.rate;
+    this.lastBeatTime = null; // Transport time of the last wave on the grid
+    this.pendingBeatTime = null; // Grid time the next emitWave() is for
+
     // Visual properties
     this.baseColor =
       options.color ||
-      getPlayerColor(this.playerId, this.type === "weapon" ? 0.9 : 0);
-    this.pulseSize = options.pulseSize || (this.type === "thruster" ? 30 : 15);
+      getPlayerColor(this.playerId, this.preset.colorVariation);
+    this.pulseSize = options.pulseSize || this.preset.pulseSize;
     this.maxRadius = options.maxRadius || 300;
 
     // Audio properties
     this.baseFrequency = this.calculateBaseFrequency();
     this.scaleType = options.scaleType || "pentatonic";
+    this.pitchJitter =
+      options.pitchJitter !== undefined ? options.pitchJitter : 0.02; // Random detune per wave, as a fraction either way
     this.oscillatorType = options.oscillatorType || this.getOscillatorType();
-    this.filterType = options.filterType || "lowpass";
+    this.filterType = options.filterType || this.preset.filterType;
     this.filterFrequency = options.filterFrequency || this.getFilterFrequency();
-    this.filterQ = options.filterQ || 1.0;
+    this.filterQ = options.filterQ || this.preset.filterQ;
     this.reverbAmount = options.reverbAmount || 0.3;
     this.gain = options.gain || this.getDefaultGain();
 
+    // Melody: a step sequence or arpeggio played one note per wave, from
+    // the start each time the emitter is activated (see Sequence.js)
+    const sequence = options.sequence || this.preset.sequence;
+    this.sequence = sequence ? createSequence(sequence) : null;
+    this.sequenceStep = 0;
+
+    // Emitter time: LFOs run from startTime, and envelopes open when the
+    // emitter is activated and release when it is deactivated (clock ms)
+    this.startTime =
+      options.startTime !== undefined ? options.startTime : this.clock();
+    this.gateOnTime = this.active ? this.startTime : null;
+    this.gateOffTime = null;
+
+    // Envelopes and LFOs on parameters, the type's first (see Modulation.js)
+    this.modulations = [];
+    [...this.preset.modulations, ...(options.modulations || [])].forEach(
+      (modulation) => this.addModulation(modulation),
+    );
+
     // Optional callback when a wave is emitted
     this.onEmitWave = options.onEmitWave || null;
   }
 
   // Get default oscillator type based on emitter type
   getOscillatorType() {
-    switch (this.type) {
-      case "thruster":
-        return "sawtooth";
-      case "weapon":
-        return "square";
-      case "explosion":
-        return "triangle";
-      default:
-        return "sine";
-    }
+    return this.preset.oscillatorType;
   }
 
   // Calculate a base frequency based on player ID and emitter type
@@ -59,44 +104,84 @@ class Emitter {
     // Map player IDs to different frequency ranges
     const baseFreq = 220 * (1 + (this.playerId % 8) / 8); // A3 to A4
 
-    switch (this.type) {
-      case "thruster":
-        return baseFreq;
-      case "weapon":
-        return baseFreq * 1.5; // Perfect fifth
-      case "explosion":
-        return baseFreq * 0.5; // Octave down
-      default:
-        return baseFreq;
-    }
+    // Each type sits at an interval above or below that
+    return baseFreq * this.preset.intervalRatio;
   }
 
   // Get default filter frequency
   getFilterFrequency() {
-    switch (this.type) {
-      case "thruster":
-        return 800;
-      case "weapon":
-        return 2200;
-      case "explosion":
-        return 400;
-      default:
-        return 1000;
-    }
+    return this.preset.filterFrequency;
   }
 
   // Get default gain
   getDefaultGain() {
-    switch (this.type) {
-      case "thruster":
-        return 0.3;
-      case "weapon":
-        return 0.7;
-      case "explosion":
-        return 0.7;
-      default:
-        return 0.4;
-    }
+    return this.preset.gain;
+  }
+
+  // Modulate a parameter, e.g.
+  //   addModulation({ target: "angle", depth: Math.PI,
+  //     source: { type: "lfo", shape: "sawtooth", rate: 0.25 } })
+  // sweeps the emitter around once every four seconds
+  addModulation(modulation) {
+    const added = createModulation(modulation, this.random);
+    this.modulations.push(added);
+    return added;
+  }
+
+  // Remove one modulation, or every modulation on a parameter by name
+  removeModulation(modulation) {
+    this.modulations = this.modulations.filter((existing) =>
+      typeof modulation === "string"
+        ? existing.target !== modulation
+        : existing !== modulation,
+    );
+  }
+
+  // A parameter's value at a clock time, with its modulations applied
+  getParameter(name, time = this.clock()) {
+    let value = this[name];
+    let modulated = false;
+    const seconds = (time - this.startTime) / 1000;
+
+    this.modulations.forEach((modulation) => {
+      if (modulation.target !== name) return;
+
+      const source = modulation.source;
+      const amount =
+        source.type === "lfo"
+          ? evaluateLFO(source, seconds)
+          : evaluateEnvelope(
+              source,
+              this.toEmitterSeconds(this.gateOnTime),
+              this.toEmitterSeconds(this.gateOffTime),
+              seconds,
+            );
+      value = applyModulation(modulation, value, amount);
+      modulated = true;
+    });
+
+    return modulated ? clampModulated(name, value) : value;
+  }
+
+  // Clock ms as seconds of emitter time (null stays null)
+  toEmitterSeconds(time) {
+    return time === null ? null : (time - this.startTime) / 1000;
+  }
+
+  // Active, or deactivated but with an envelope still releasing
+  isSounding(time = this.clock()) {
+    if (this.active) return true;
+
+    const seconds = (time - this.startTime) / 1000;
+    return this.modulations.some(
+      ({ source }) =>
+        source.type === "envelope" &&
+        isEnvelopeReleasing(
+          source,
+          this.toEmitterSeconds(this.gateOffTime),
+          seconds,
+        ),
+    );
   }
 
   // Update emitter position and properties
@@ -119,10 +204,38 @@ class Emitter {
 
   // Emit a wave pulse
   emitWave(intensity = 1.0, timeStep) {
-    if (!this.active) return null;
+    const time = timeStep || this.clock();
+    if (!this.isSounding(time)) return null;
 
-    // Calculate frequency with slight variation for interest
-    let frequency = this.baseFrequency * (0.98 + Math.random() * 0.04);
+    // A wave for a grid point is scheduled ahead to land exactly on it
+    let scheduleDelay = 0;
+    if (this.pendingBeatTime !== null) {
+      scheduleDelay = Math.max(0, this.pendingBeatTime - this.transport.now());
+      this.lastBeatTime = this.pendingBeatTime;
+      this.pendingBeatTime = null;
+    }
+
+    // A rest in the sequence takes its turn without a wave
+    const degree = this.nextSequenceDegree();
+    if (degree === null) {
+      this.lastEmitTime = time + scheduleDelay * 1000;
+      return null;
+    }
+
+    // Calculate frequency with slight variation for interest. A sequence
+    // steps along the scale from the base note instead, so every note of
+    // the phrase is measured from the same root and lands in tune on its
+    // degree, whatever the scale.
+    let frequency = this.getParameter("baseFrequency", time);
+    if (this.sequence) {
+      frequency = stepInScale(
+        snapToScale(frequency, this.scaleType),
+        degree,
+        this.scaleType,
+      );
+    } else if (this.pitchJitter > 0) {
+      frequency *= 1 + (this.random() * 2 - 1) * this.pitchJitter;
+    }
 
     // Snap to musical scale if desired
     if (this.scaleType !== "chromatic") {
@@ -135,21 +248,25 @@ class Emitter {
       playerId: this.playerId,
       type: this.type,
       position: { ...this.position },
-      angle: this.angle,
-      spreadAngle: this.spreadAngle,
+      velocity: { ...this.velocity }, // Emitter's velocity when it fired
+      angle: this.getParameter("angle", time),
+      spreadAngle: this.getParameter("spreadAngle", time),
       radius: 10, // Starting radius
+      pulseSize: this.pulseSize,
       maxRadius: this.maxRadius,
       speed: this.waveSpeed,
       intensity: intensity,
       frequency: frequency,
+      phase: this.phase,
       color: this.baseColor.slice(), // Copy the color array
       oscillatorType: this.oscillatorType,
       filterType: this.filterType,
-      filterFrequency: this.filterFrequency,
+      filterFrequency: this.getParameter("filterFrequency", time),
       filterQ: this.filterQ,
       reverbAmount: this.reverbAmount,
-      gain: this.gain * intensity,
-      createdAt: timeStep || performance.now(),
+      gain: this.getParameter("gain", time) * intensity,
+      createdAt: time + scheduleDelay * 1000,
+      scheduleDelay, // Seconds until the wave should sound and appear
     };
 
     // Call the callback if provided
@@ -162,24 +279,140 @@ class Emitter {
     return wave;
   }
 
+  // Scale degrees above the base note for the next wave, advancing the
+  // sequence: 0 without a sequence, null for a rest
+  nextSequenceDegree() {
+    if (!this.sequence) return 0;
+
+    const scaleLength = getScaleLength(this.scaleType);
+    const degree = getSequenceStep(
+      this.sequence,
+      this.sequenceStep,
+      scaleLength,
+      this.random,
+    );
+    this.sequenceStep =
+      (this.sequenceStep + 1) % getSequenceLength(this.sequence, scaleLength);
+
+    return degree;
+  }
+
   // Check if it's time to emit a wave based on density
   shouldEmitWave(currentTime) {
-    if (!this.active || this.waveDensity <= 0) return false;
+    if (this.rate && this.transport) {
+      return this.shouldEmitOnBeat(currentTime);
+    }
+
+    const waveDensity = this.getParameter("waveDensity", currentTime);
+    if (!this.isSounding(currentTime) || waveDensity <= 0) return false;
 
     const timeSinceLastEmit = currentTime - this.lastEmitTime;
-    const emitInterval = 1000 / this.waveDensity; // ms between waves
+    const emitInterval = 1000 / waveDensity; // ms between waves
 
     return timeSinceLastEmit >= emitInterval;
   }
 
+  // Whether the next point of the rate's grid falls within the transport's
+  // lookahead. If so it is held for emitWave() to schedule the wave at.
+  shouldEmitOnBeat(currentTime) {
+    if (!this.isSounding(currentTime)) return false;
+
+    const now = this.transport.now();
+    const after =
+      this.lastBeatTime !== null
+        ? Math.max(now, this.lastBeatTime + 1e-6)
+        : now;
+    const beatTime = this.transport.nextGridTime(this.rate, after);
+
+    if (beatTime > now + this.transport.lookahead) return false;
+
+    this.pendingBeatTime = beatTime;
+    return true;
+  }
+
+  // Serializable state (everything but the emit callback)
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      playerId: this.playerId,
+      position: { ...this.position },
+      velocity: { ...this.velocity },
+      active: this.active,
+      angle: this.angle,
+      spreadAngle: this.spreadAngle,
+      waveSpeed: this.waveSpeed,
+      waveDensity: this.waveDensity,
+      phase: this.phase,
+      lastEmitTime: this.lastEmitTime,
+      color: this.baseColor.slice(),
+      pulseSize: this.pulseSize,
+      maxRadius: this.maxRadius,
+      baseFrequency: this.baseFrequency,
+      scaleType: this.scaleType,
+      pitchJitter: this.pitchJitter,
+      oscillatorType: this.oscillatorType,
+      filterType: this.filterType,
+      filterFrequency: this.filterFrequency,
+      filterQ: this.filterQ,
+      reverbAmount: this.reverbAmount,
+      gain: this.gain,
+      rate: this.rate,
+      sequence: this.sequence,
+      sequenceStep: this.sequenceStep,
+      lastBeatTime: this.lastBeatTime,
+      startTime: this.startTime,
+      gateOnTime: this.gateOnTime,
+      gateOffTime: this.gateOffTime,
+      modulations: this.modulations.map((modulation) => ({
+        ...modulation,
+        source: { ...modulation.source },
+      })),
+    };
+  }
+
+  // Recreate an emitter from toJSON() output. Options such as onEmitWave
+  // can be supplied again through `options`.
+  static fromJSON(data, options = {}) {
+    const emitter = new Emitter({ ...data, ...options });
+
+    // Not constructor options, or ones the constructor would treat 0 as unset
+    emitter.baseFrequency = data.baseFrequency;
+    emitter.lastEmitTime = data.lastEmitTime;
+    emitter.waveDensity = data.waveDensity;
+    emitter.gain = data.gain;
+    emitter.reverbAmount = data.reverbAmount;
+    emitter.sequenceStep = data.sequenceStep || 0;
+    emitter.lastBeatTime =
+      data.lastBeatTime !== undefined ? data.lastBeatTime : null;
+    if (data.modulations) {
+      // Exactly the saved ones, not the type's defaults added again
+      emitter.modulations = data.modulations.map((modulation) =>
+        createModulation(modulation),
+      );
+    }
+    if (data.gateOnTime !== undefined) {
+      emitter.gateOnTime = data.gateOnTime;
+      emitter.gateOffTime = data.gateOffTime;
+    }
+
+    return emitter;
+  }
+
   // Deactivate the emitter
   deactivate() {
+    if (!this.active) return;
     this.active = false;
+    this.gateOffTime = this.clock();
   }
 
-  // Activate the emitter
+  // Activate the emitter. Envelopes start over unless it was already active.
   activate() {
+    if (this.active) return;
     this.active = true;
+    this.gateOnTime = this.clock();
+    this.gateOffTime = null;
+    this.sequenceStep = 0;
   }
 }
 
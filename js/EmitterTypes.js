@@ -0,0 +1,193 @@
+// EmitterTypes.js - Registry of emitter type presets (thruster, weapon, ...)
+
+import { validateModulation } from "./Modulation.js";
+import { validateSequence } from "./Sequence.js";
+import Transport from "./Transport.js";
+
+// Preset fields and their defaults. Every type is resolved over these, so a
+// preset only lists what makes it different.
+const PRESET_DEFAULTS = {
+  oscillatorType: "sine", // sine, square, sawtooth or triangle
+  intervalRatio: 1, // Multiplies the player's base frequency (1.5 = a fifth up)
+  filterType: "lowpass",
+  filterFrequency: 1000,
+  filterQ: 1.0,
+  gain: 0.4,
+  spreadAngle: 360, // Degrees (360 = omnidirectional)
+  waveDensity: 1.0, // Waves per second
+  pulseSize: 15,
+  colorVariation: 0, // Shift of the player's hue (see getPlayerColor)
+  modulations: [], // Envelopes and LFOs (see Modulation.js)
+  rate: null, // Note value to emit on, e.g. "1/8" (see Transport.js)
+  sequence: null, // Step sequence or arpeggio (see Sequence.js)
+};
+
+const OSCILLATOR_TYPES = ["sine", "square", "sawtooth", "triangle"];
+const FILTER_TYPES = [
+  "lowpass",
+  "highpass",
+  "bandpass",
+  "lowshelf",
+  "highshelf",
+  "peaking",
+  "notch",
+  "allpass",
+];
+
+// Types every game starts with
+const BUILT_IN_TYPES = {
+  default: {},
+  thruster: {
+    oscillatorType: "sawtooth",
+    filterFrequency: 800,
+    gain: 0.3,
+    pulseSize: 30,
+  },
+  weapon: {
+    oscillatorType: "square",
+    intervalRatio: 1.5, // Perfect fifth
+    filterFrequency: 2200,
+    gain: 0.7,
+    colorVariation: 0.9,
+  },
+  explosion: {
+    oscillatorType: "triangle",
+    intervalRatio: 0.5, // Octave down
+    filterFrequency: 400,
+    gain: 0.7,
+  },
+};
+
+// Registered presets by name, as given (before defaults are filled in)
+const types = new Map();
+
+// Check a preset's fields, throwing on anything that isn't a known field
+// or has a value the audio graph would reject
+function validatePreset(name, preset) {
+  Object.keys(preset).forEach((key) => {
+    if (key !== "extends" && !(key in PRESET_DEFAULTS)) {
+      throw new Error(`Unknown field "${key}" in emitter type "${name}"`);
+    }
+  });
+
+  if (
+    preset.oscillatorType !== undefined &&
+    !OSCILLATOR_TYPES.includes(preset.oscillatorType)
+  ) {
+    throw new Error(
+      `Unknown oscillatorType "${preset.oscillatorType}" in emitter type "${name}"`,
+    );
+  }
+  if (
+    preset.filterType !== undefined &&
+    !FILTER_TYPES.includes(preset.filterType)
+  ) {
+    throw new Error(
+      `Unknown filterType "${preset.filterType}" in emitter type "${name}"`,
+    );
+  }
+  if (preset.modulations !== undefined) {
+    if (!Array.isArray(preset.modulations)) {
+      throw new Error(`modulations must be an array in emitter type "${name}"`);
+    }
+    preset.modulations.forEach(validateModulation);
+  }
+  if (preset.rate !== undefined && preset.rate !== null) {
+    Transport.parseNoteValue(preset.rate);
+  }
+  if (preset.sequence !== undefined && preset.sequence !== null) {
+    validateSequence(preset.sequence);
+  }
+  if (preset.extends !== undefined && !types.has(preset.extends)) {
+    throw new Error(
+      `Emitter type "${name}" extends unknown type "${preset.extends}"`,
+    );
+  }
+}
+
+// Declare (or redeclare) an emitter type. `extends` names a type to start
+// from, e.g. defineEmitterType("shield", { extends: "thruster", gain: 0.2 })
+function defineEmitterType(name, preset = {}) {
+  validatePreset(name, preset);
+  types.set(name, { ...preset });
+}
+
+// Whether a type has been declared
+function hasEmitterType(name) {
+  return types.has(name);
+}
+
+// A type's full settings, with its `extends` chain and the defaults filled
+// in. Unknown types get the "default" type.
+function getEmitterType(name) {
+  const chain = [];
+  let current = types.has(name) ? name : "default";
+
+  while (current !== undefined && !chain.includes(current)) {
+    chain.unshift(current);
+    current = types.get(current).extends;
+  }
+
+  const resolved = { ...PRESET_DEFAULTS };
+  chain.forEach((typeName) => {
+    const fields = { ...types.get(typeName) };
+    delete fields.extends;
+    Object.assign(resolved, fields);
+  });
+
+  return resolved;
+}
+
+// Declare every type in a { name: preset } object or its JSON text. Types
+// may extend others in the same batch, in any order.
+function loadEmitterTypes(data) {
+  const presets = typeof data === "string" ? JSON.parse(data) : data;
+  const pending = Object.keys(presets);
+
+  while (pending.length > 0) {
+    const ready = pending.findIndex((name) => {
+      const parent = presets[name].extends;
+      return (
+        parent === undefined || types.has(parent) || !pending.includes(parent)
+      );
+    });
+
+    // A cycle within the batch: let validation report it
+    const name = pending.splice(ready === -1 ? 0 : ready, 1)[0];
+    defineEmitterType(name, presets[name]);
+  }
+}
+
+// Presets as a { name: preset } object for JSON.stringify, as declared
+// (so `extends` is kept). Defaults to every type that isn't built in.
+function exportEmitterTypes(
+  names = [...types.keys()].filter((name) => !(name in BUILT_IN_TYPES)),
+) {
+  const presets = {};
+  names.forEach((name) => {
+    if (!types.has(name)) {
+      throw new Error(`Unknown emitter type: ${name}`);
+    }
+    presets[name] = { ...types.get(name) };
+  });
+  return presets;
+}
+
+// Put the registry back to just the built-in types
+function resetEmitterTypes() {
+  types.clear();
+  Object.keys(BUILT_IN_TYPES).forEach((name) => {
+    types.set(name, { ...BUILT_IN_TYPES[name] });
+  });
+}
+
+resetEmitterTypes();
+
+export {
+  defineEmitterType,
+  hasEmitterType,
+  getEmitterType,
+  loadEmitterTypes,
+  exportEmitterTypes,
+  resetEmitterTypes,
+};
@@ -0,0 +1,221 @@
+// FieldRegion.js - Named areas of a wave field that report what happens in them
+
+// A region of the field plus the conditions listeners are waiting on. The
+// shape is one of
+//   { type: "rect", x, y, width, height }  (world units)
+//   { type: "circle", x, y, radius }       (world units)
+//   { type: "mask", rows }                 (character rows stretched over
+//                                           the grid, like loadMaterialMask;
+//                                           "." and " " are outside)
+// A cell belongs to a rect or circle when its center does.
+class FieldRegion {
+  constructor(name, shape) {
+    if (!["rect", "circle", "mask"].includes(shape.type)) {
+      throw new Error(`Unknown region shape: ${shape.type}`);
+    }
+
+    this.name = name;
+    this.shape = shape;
+
+    // Cell indices inside the region, rebuilt when the grid changes
+    this.cellIndices = [];
+    this.layoutKey = null;
+
+    // Listeners, each with whether its condition held at the last update
+    this.subscriptions = [];
+
+    // Measurements from the last update (see measure)
+    this.stats = null;
+  }
+
+  // Work out which cells the shape covers, unless the grid is unchanged
+  refreshCells(field) {
+    const key = `${field.width}x${field.height}@${field.resolution}`;
+    if (key === this.layoutKey) return;
+
+    const res = field.resolution;
+    this.cellIndices = [];
+
+    for (let y = 0; y < res; y++) {
+      for (let x = 0; x < res; x++) {
+        if (this.containsCell(field, x, y)) {
+          this.cellIndices.push(y * res + x);
+        }
+      }
+    }
+
+    this.layoutKey = key;
+  }
+
+  // Whether grid cell (x, y) lies in the region
+  containsCell(field, x, y) {
+    const shape = this.shape;
+    const center = field.gridToWorld(x, y);
+
+    switch (shape.type) {
+      case "rect":
+        return (
+          center.x >= shape.x &&
+          center.x <= shape.x + shape.width &&
+          center.y >= shape.y &&
+          center.y <= shape.y + shape.height
+        );
+      case "circle":
+        return (
+          Math.hypot(center.x - shape.x, center.y - shape.y) <= shape.radius
+        );
+      case "mask": {
+        const res = field.resolution;
+        const rows = shape.rows;
+        const row = rows[Math.floor((y * rows.length) / res)] || "";
+        const char = row[Math.floor((x * (rows[0] || "").length) / res)];
+        return char !== undefined && char !== "." && char !== " ";
+      }
+      default:
+        return false;
+    }
+  }
+
+  // Summarize the field inside the region. Solid cells don't count.
+  measure(field) {
+    this.refreshCells(field);
+
+    const cells = field.cells;
+    const sourceEnergy = new Map();
+    let cellCount = 0;
+    let totalEnergy = 0;
+    let maxEnergy = 0;
+    let frequency = 0;
+
+    for (const i of this.cellIndices) {
+      if (field.solid[i]) continue;
+
+      const energy = cells.energy[i];
+      cellCount++;
+      totalEnergy += energy;
+      maxEnergy = Math.max(maxEnergy, energy);
+      frequency += cells.frequency[i] * energy;
+
+      for (let k = 0; k < cells.sourceId.length; k++) {
+        const id = cells.sourceId[k][i];
+        if (id === 0) continue;
+        sourceEnergy.set(
+          id,
+          (sourceEnergy.get(id) || 0) + cells.sourceEnergy[k][i],
+        );
+      }
+    }
+
+    // Strongest source first, with the player it belongs to and its share
+    // of the region's energy
+    const sources = [];
+    sourceEnergy.forEach((energy, id) => {
+      sources.push({
+        source: field.sourceKeys[id - 1],
+        player: field.sourcePlayers[id - 1],
+        energy,
+        share: totalEnergy > 0 ? energy / totalEnergy : 0,
+      });
+    });
+    sources.sort((a, b) => b.energy - a.energy);
+
+    return {
+      cells: cellCount,
+      totalEnergy,
+      meanEnergy: cellCount > 0 ? totalEnergy / cellCount : 0,
+      maxEnergy,
+      frequency: totalEnergy > 0 ? frequency / totalEnergy : 0, // Energy-weighted
+      sources,
+    };
+  }
+
+  // Measure the region and notify listeners whose condition started or
+  // stopped holding
+  evaluate(field) {
+    this.stats = this.measure(field);
+
+    this.subscriptions.slice().forEach((subscription) => {
+      const active = testCondition(subscription.condition, this.stats);
+      if (active === subscription.active) return;
+
+      subscription.active = active;
+      subscription.callback({
+        region: this.name,
+        condition: subscription.condition,
+        active,
+        stats: this.stats,
+        timeStep: field.timeStep,
+        time: field.time,
+      });
+    });
+  }
+}
+
+// Does a condition hold for a region's stats? Conditions are
+//   { type: "energy", above, measure = "max" }
+//       measure is "max", "mean" or "total"
+//   { type: "frequency", near, semitones = 1, minEnergy = 0.05 }
+//       the region's energy-weighted frequency is within `semitones` of
+//       `near` Hz, while its peak energy is at least minEnergy
+//   { type: "dominance", source, share = 0.5, minEnergy = 0.05 }
+//       sources matching `source` (a key, an array of keys or a predicate)
+//       hold at least `share` of the region's energy
+//   { type: "dominance", player, share = 0.5, minEnergy = 0.05 }
+//       the same for every source belonging to `player` (an id, an array
+//       of ids or a predicate), as passed to addWavePulse with the source.
+//       Both dominance forms read the per-source layers, so they need a
+//       field created with the sourceLayers option.
+// or a function of the stats returning true or false.
+function testCondition(condition, stats) {
+  if (typeof condition === "function") {
+    return Boolean(condition(stats));
+  }
+
+  switch (condition.type) {
+    case "energy": {
+      const measure = condition.measure || "max";
+      const value = stats[`${measure}Energy`];
+      if (value === undefined) {
+        throw new Error(`Unknown energy measure: ${measure}`);
+      }
+      return value > condition.above;
+    }
+
+    case "frequency": {
+      const minEnergy =
+        condition.minEnergy !== undefined ? condition.minEnergy : 0.05;
+      if (stats.maxEnergy < minEnergy || stats.frequency <= 0) return false;
+
+      const semitones =
+        condition.semitones !== undefined ? condition.semitones : 1;
+      return (
+        Math.abs(12 * Math.log2(stats.frequency / condition.near)) <= semitones
+      );
+    }
+
+    case "dominance": {
+      const minEnergy =
+        condition.minEnergy !== undefined ? condition.minEnergy : 0.05;
+      if (stats.maxEnergy < minEnergy) return false;
+
+      const byPlayer = condition.player !== undefined;
+      const wanted = byPlayer ? condition.player : condition.source;
+      const matches =
+        typeof wanted === "function"
+          ? wanted
+          : Array.isArray(wanted)
+            ? (key) => wanted.includes(key)
+            : (key) => key === wanted;
+      const share = stats.sources
+        .filter((entry) => matches(byPlayer ? entry.player : entry.source))
+        .reduce((sum, entry) => sum + entry.share, 0);
+
+      return share >= (condition.share !== undefined ? condition.share : 0.5);
+    }
+
+    default:
+      throw new Error(`Unknown region condition: ${condition.type}`);
+  }
+}
+
+export default FieldRegion;
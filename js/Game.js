@@ -1,10 +1,17 @@
 import WaveField from "./WaveField.js";
+import WorkerWaveField from "./WorkerWaveField.js";
 import Emitter from "./Emitter.js";
+import Resonator from "./Resonator.js";
+import Conductor from "./Conductor.js";
 import WaveRenderer from "./WaveRenderer.js";
 import AudioRenderer from "./AudioRenderer.js";
+import WorkletAudioRenderer from "./WorkletAudioRenderer.js";
+import { createRandom, systemClock, createManualClock } from "./Utils.js";
+import { loadEmitterTypes } from "./EmitterTypes.js";
+import { setTuning, getTuning } from "./Tuning.js";
 
 class Game {
-  constructor(canvasId) {
+  constructor(canvasId, options = {}) {
     // Set up canvas
     this.canvas = document.getElementById(canvasId);
     this.ctx = this.canvas.getContext("2d");
@@ -15,10 +22,81 @@ class Game {
     this.lastTimestamp = 0;
     this.paused = false;
 
-    // Wave system
-    this.waveField = new WaveField(this.canvas.width, this.canvas.height, 32);
+    // Randomness and time. With a seed the game is deterministic: the same
+    // seed and the same sequence of inputs and update() calls produce the
+    // same field. Without an explicit clock a seeded game keeps its own,
+    // advanced by update(), so frame timing doesn't leak in.
+    this.seed = options.seed;
+    const seeded = this.seed !== undefined;
+    this.random = seeded ? createRandom(this.seed) : Math.random;
+    // Separate stream for visual effects, so drawing doesn't shift the
+    // simulation's sequence
+    this.effectsRandom = seeded ? createRandom(this.seed + 1) : Math.random;
+    this.ownsClock = !options.clock && seeded;
+    this.clock =
+      options.clock || (this.ownsClock ? createManualClock() : systemClock);
+
+    // Callbacks waiting for a clock time, run from update()
+    this.scheduled = [];
+
+    // Extra emitter types ({ name: preset } or its JSON), declared before
+    // any emitters are made
+    if (options.emitterTypes) {
+      loadEmitterTypes(options.emitterTypes);
+    }
+
+    // Tuning every emitter's scale is played in (see Tuning.js), e.g.
+    // { temperament: "just", root: "D" }. It can be changed at any time
+    // with setTuning().
+    if (options.tuning) {
+      setTuning(options.tuning);
+    }
+
+    // Wave system. With useWorker the simulation runs in a Web Worker and
+    // the field here is a read-only mirror with the same methods. The worker
+    // merges steps when it falls behind, so a seeded game stays on the main
+    // thread. Cells keep per-source layers, so the ship's and emitters'
+    // tones stay apart where they overlap, resonators ignore their own
+    // waves and regions can tell who dominates them; at 32x32 they cost
+    // little.
+    const FieldClass =
+      options.useWorker && !seeded ? WorkerWaveField : WaveField;
+    this.waveField = new FieldClass(this.canvas.width, this.canvas.height, 32, {
+      sourceLayers: 4,
+    });
     this.waveRenderer = new WaveRenderer(this.canvas, this.waveField);
-    this.audioRenderer = new AudioRenderer(this.waveField);
+    // With useWorklet every active cell is played by an additive synth in
+    // an audio worklet, instead of the loudest few by a pool of oscillators
+    // (see WorkletAudioRenderer.js). Browsers without audio worklets keep
+    // the pool.
+    const AudioRendererClass =
+      options.useWorklet && typeof AudioWorkletNode !== "undefined"
+        ? WorkletAudioRenderer
+        : AudioRenderer;
+    // A seeded game's transport follows the game clock rather than the
+    // audio clock, so beat-synced emission replays exactly
+    this.audioRenderer = new AudioRendererClass(this.waveField, {
+      random: seeded ? createRandom(this.seed + 2) : Math.random,
+      transport: seeded
+        ? { ...options.transport, getTime: () => this.clock() / 1000 }
+        : options.transport,
+    });
+
+    // Harmony the emitters play in, so the thruster and weapon always sound
+    // consonant together: both snap to the current chord, which moves
+    // through the progression every two bars. options.conductor takes
+    // Conductor options (key, mode, progression...); false leaves each on
+    // its own scale.
+    this.conductor =
+      options.conductor !== false
+        ? new Conductor({
+            transport: this.audioRenderer.transport,
+            key: "A",
+            mode: "minor",
+            progression: ["i", "VI", "III", "VII"],
+            ...options.conductor,
+          })
+        : null;
 
     // Player ship
     this.ship = {
@@ -52,6 +130,9 @@ class Game {
     // Active waves
     this.travelingWaves = [];
 
+    // Resonators placed in the world (see addResonator)
+    this.resonators = [];
+
     // Input state
     this.keys = {
       up: false,
@@ -76,14 +157,11 @@ class Game {
       this.canvas.width = window.innerWidth;
       this.canvas.height = window.innerHeight;
 
-      // Recreate wave field with new dimensions
+      // Resample the wave field in place so the renderers, which hold on
+      // to it, keep seeing the live field. Traveling waves are in world
+      // space and field content stays put, so they carry on unchanged.
       if (this.waveField) {
-        const oldField = this.waveField;
-        this.waveField = new WaveField(
-          this.canvas.width,
-          this.canvas.height,
-          oldField.resolution,
-        );
+        this.waveField.resize(this.canvas.width, this.canvas.height);
       }
     });
   }
@@ -101,7 +179,10 @@ class Game {
       waveDensity: 16, // More waves per second (increased from 5)
       oscillatorType: "sawtooth",
       filterType: "lowpass",
-      scaleType: "pentatonic",
+      scaleType: this.conductor ? "chord" : "pentatonic",
+      random: this.random,
+      clock: this.clock,
+      transport: this.audioRenderer.transport,
       onEmitWave: (wave) => this.onWaveEmitted(wave),
     });
 
@@ -118,11 +199,27 @@ class Game {
       filterType: "lowpass",
       filterFrequency: 1200,
       gain: 0.5, // Increased gain
-      scaleType: "minorPentatonic",
+      scaleType: this.conductor ? "chord" : "minorPentatonic",
       maxRadius: 1600, // Larger radius for weapon effects
       pulseSize: 80, // Larger pulse
+      random: this.random,
+      clock: this.clock,
+      transport: this.audioRenderer.transport,
+      onEmitWave: (wave) => this.onWaveEmitted(wave),
+    });
+  }
+
+  // Place a resonator that rings when the field around it carries its
+  // pitch, e.g. a bell tuned to a note of the weapon's scale
+  addResonator(options = {}) {
+    const resonator = new Resonator({
+      random: this.random,
+      clock: this.clock,
+      ...options,
       onEmitWave: (wave) => this.onWaveEmitted(wave),
     });
+    this.resonators.push(resonator);
+    return resonator;
   }
 
   // Bind keyboard and other event handlers
@@ -205,14 +302,42 @@ class Game {
 
   // Handle wave emission
   onWaveEmitted(wave) {
+    // Sound is scheduled straight away; a beat-synced wave joins the field
+    // when it is due, so it appears on the beat it is heard on
+    this.audioRenderer.processTravelingWave(wave);
+
+    if (wave.scheduleDelay > 0) {
+      this.schedule(
+        () => this.addTravelingWave(wave),
+        wave.scheduleDelay * 1000,
+      );
+    } else {
+      this.addTravelingWave(wave);
+    }
+  }
+
+  // Put an emitted wave into the field and the renderer
+  addTravelingWave(wave) {
     // Add to traveling waves collection
     this.travelingWaves.push(wave);
 
+    // Stamp the pulse into the field once; the field propagates it from here
+    this.waveField.addWavePulse(
+      wave.position.x,
+      wave.position.y,
+      Math.max(wave.pulseSize, this.waveField.cellWidth),
+      wave.intensity,
+      wave.frequency,
+      wave.color,
+      wave.angle,
+      wave.spreadAngle,
+      wave.phase,
+      wave.emitterId,
+      wave.playerId,
+    );
+
     // Add to renderer
     this.waveRenderer.addTravelingWave(wave);
-
-    // Process for audio
-    this.audioRenderer.processTravelingWave(wave);
   }
 
   fireWeapon() {
@@ -237,6 +362,7 @@ class Game {
           filterFrequency: 1000 + this.ship.weaponCharge * 3000,
           spreadAngle: 30 + this.ship.weaponCharge * 20,
           reverbAmount: 0.2 + this.ship.weaponCharge * 0.4,
+          velocity: { ...this.ship.velocity },
         },
       );
 
@@ -252,35 +378,26 @@ class Game {
       // For stronger shots, emit multiple waves!
       if (chargeIntensity > 0.8) {
         // For a fully charged shot, emit 3 waves in quick succession
-        this.ship.weaponEmitter.emitWave(chargeIntensity, performance.now());
+        this.ship.weaponEmitter.emitWave(chargeIntensity, this.clock());
 
         // Small delay between waves
-        setTimeout(() => {
-          this.ship.weaponEmitter.emitWave(
-            chargeIntensity * 0.8,
-            performance.now(),
-          );
+        this.schedule(() => {
+          this.ship.weaponEmitter.emitWave(chargeIntensity * 0.8, this.clock());
         }, 50);
 
-        setTimeout(() => {
-          this.ship.weaponEmitter.emitWave(
-            chargeIntensity * 0.6,
-            performance.now(),
-          );
+        this.schedule(() => {
+          this.ship.weaponEmitter.emitWave(chargeIntensity * 0.6, this.clock());
         }, 100);
       } else if (chargeIntensity > 0.4) {
         // Medium charge, emit 2 waves
-        this.ship.weaponEmitter.emitWave(chargeIntensity, performance.now());
+        this.ship.weaponEmitter.emitWave(chargeIntensity, this.clock());
 
-        setTimeout(() => {
-          this.ship.weaponEmitter.emitWave(
-            chargeIntensity * 0.7,
-            performance.now(),
-          );
+        this.schedule(() => {
+          this.ship.weaponEmitter.emitWave(chargeIntensity * 0.7, this.clock());
         }, 70);
       } else {
         // Single wave for small charges
-        this.ship.weaponEmitter.emitWave(chargeIntensity, performance.now());
+        this.ship.weaponEmitter.emitWave(chargeIntensity, this.clock());
       }
 
       // Add a slight "recoil" effect to the ship
@@ -292,12 +409,29 @@ class Game {
       this.ship.weaponCharge = 0;
 
       // Deactivate after firing
-      setTimeout(() => {
+      this.schedule(() => {
         this.ship.weaponEmitter.deactivate();
       }, 200);
     }
   }
 
+  // Run a callback once the clock has moved on by `delay` milliseconds.
+  // Unlike setTimeout this follows the injected clock and runs inside
+  // update(), in the order callbacks were scheduled.
+  schedule(callback, delay) {
+    this.scheduled.push({ time: this.clock() + delay, callback });
+  }
+
+  // Run scheduled callbacks that are due
+  runScheduled() {
+    const now = this.clock();
+    const due = this.scheduled.filter((task) => task.time <= now);
+    if (due.length === 0) return;
+
+    this.scheduled = this.scheduled.filter((task) => task.time > now);
+    due.forEach((task) => task.callback());
+  }
+
   // Update ship position and physics
   updateShip(deltaTime) {
     // Handle rotation
@@ -341,17 +475,18 @@ class Game {
             (Math.hypot(this.ship.velocity.x, this.ship.velocity.y) /
               this.ship.maxSpeed) *
               0.3,
+          velocity: { ...this.ship.velocity },
         },
       );
 
       // Emit waves regularly while thrusting
-      if (this.ship.thrusterEmitter.shouldEmitWave(performance.now())) {
+      if (this.ship.thrusterEmitter.shouldEmitWave(this.clock())) {
         const intensity =
           0.3 +
           (Math.hypot(this.ship.velocity.x, this.ship.velocity.y) /
             this.ship.maxSpeed) *
             0.7;
-        this.ship.thrusterEmitter.emitWave(intensity, performance.now());
+        this.ship.thrusterEmitter.emitWave(intensity, this.clock());
       }
     }
 
@@ -491,7 +626,7 @@ class Game {
         const pulseValue =
           0.2 +
           0.5 * chargeRatio +
-          Math.sin((Date.now() / 100) * pulseRate) * pulseAmount;
+          Math.sin((this.clock() / 100) * pulseRate) * pulseAmount;
 
         this.ship.chargeSound.gain.gain.exponentialRampToValueAtTime(
           pulseValue,
@@ -515,6 +650,105 @@ class Game {
     }
   }
 
+  // Capture the ship, its emitters, traveling waves and the wave field as
+  // a plain object that survives JSON.stringify
+  snapshot() {
+    const {
+      thrusterEmitter,
+      weaponEmitter,
+      chargeSound, // Audio nodes can't be saved
+      ...ship
+    } = this.ship;
+
+    return {
+      version: 1,
+      ship: JSON.parse(JSON.stringify(ship)),
+      emitters: {
+        thruster: thrusterEmitter.toJSON(),
+        weapon: weaponEmitter.toJSON(),
+      },
+      travelingWaves: JSON.parse(JSON.stringify(this.travelingWaves)),
+      resonators: this.resonators.map((resonator) => resonator.toJSON()),
+      waveField: this.waveField.toJSON(),
+      transport: this.audioRenderer.transport.toJSON(),
+      tuning: getTuning(),
+      conductor: this.conductor ? this.conductor.toJSON() : null,
+      // Where a seeded game's random sequences and clock had got to
+      random: this.random.getState ? this.random.getState() : null,
+      effectsRandom: this.effectsRandom.getState
+        ? this.effectsRandom.getState()
+        : null,
+      clock: this.clock(),
+    };
+  }
+
+  // Restore a snapshot() in place. The wave field is loaded into the
+  // existing instance so the renderers keep following it.
+  restore(snapshot) {
+    this.stopChargeSound();
+
+    Object.assign(this.ship, JSON.parse(JSON.stringify(snapshot.ship)), {
+      chargeSoundActive: false,
+    });
+
+    // Pick up a seeded game's sequences and clock where they left off.
+    // Callbacks still scheduled when the snapshot was taken are not saved.
+    if (this.random.setState && typeof snapshot.random === "number") {
+      this.random.setState(snapshot.random);
+    }
+    if (
+      this.effectsRandom.setState &&
+      typeof snapshot.effectsRandom === "number"
+    ) {
+      this.effectsRandom.setState(snapshot.effectsRandom);
+    }
+    if (this.clock.set && typeof snapshot.clock === "number") {
+      this.clock.set(snapshot.clock);
+    }
+    this.scheduled = [];
+
+    if (snapshot.tuning) {
+      setTuning(snapshot.tuning);
+    }
+    if (this.conductor && snapshot.conductor) {
+      this.conductor.loadJSON(snapshot.conductor);
+    }
+
+    // Tempo and swing always carry over. Where the beat grid starts only
+    // means something on the same clock, so it is kept for seeded games.
+    if (snapshot.transport) {
+      const { startTime, ...settings } = snapshot.transport;
+      this.audioRenderer.transport.loadJSON(
+        this.clock.set ? { ...settings, startTime } : settings,
+      );
+    }
+
+    const emitterOptions = {
+      random: this.random,
+      clock: this.clock,
+      transport: this.audioRenderer.transport,
+      onEmitWave: (wave) => this.onWaveEmitted(wave),
+    };
+    this.ship.thrusterEmitter = Emitter.fromJSON(
+      snapshot.emitters.thruster,
+      emitterOptions,
+    );
+    this.ship.weaponEmitter = Emitter.fromJSON(
+      snapshot.emitters.weapon,
+      emitterOptions,
+    );
+
+    this.resonators = (snapshot.resonators || []).map((data) =>
+      Resonator.fromJSON(data, emitterOptions),
+    );
+
+    // Game and renderer share the wave objects, as when they are emitted
+    this.travelingWaves = JSON.parse(JSON.stringify(snapshot.travelingWaves));
+    this.waveRenderer.travelingWaves = this.travelingWaves.slice();
+
+    this.waveField.loadJSON(snapshot.waveField);
+  }
+
   // Toggle pause state
   togglePause() {
     this.paused = !this.paused;
@@ -557,14 +791,30 @@ class Game {
     // Cap delta time to avoid huge jumps
     const dt = Math.min(deltaTime, 0.1);
 
+    // A seeded game's own clock runs on simulation time
+    if (this.ownsClock) {
+      this.clock.advance(dt * 1000);
+    }
+    this.runScheduled();
+
+    // Move the harmony along on the beat
+    if (this.conductor) {
+      this.conductor.update();
+    }
+
     // Update ship
     this.updateShip(dt);
 
-    // Update audio listener position (follows the ship)
+    // Update audio listener position, velocity and facing (follows the ship)
     this.audioRenderer.setListenerPosition(
       this.ship.position.x,
       this.ship.position.y,
     );
+    this.audioRenderer.setListenerVelocity(
+      this.ship.velocity.x,
+      this.ship.velocity.y,
+    );
+    this.audioRenderer.setListenerOrientation(this.ship.rotation);
 
     // Update traveling waves
     this.waveRenderer.updateTravelingWaves(dt);
@@ -572,22 +822,10 @@ class Game {
     // Update wave field
     this.waveField.update(dt);
 
-    // Process wave-field interactions
-    this.travelingWaves.forEach((wave) => {
-      // Apply wave effect to field
-      if (wave.intensity > 0.05) {
-        this.waveField.addWavePulse(
-          wave.position.x,
-          wave.position.y,
-          wave.radius,
-          wave.intensity,
-          wave.frequency,
-          wave.color,
-          wave.angle,
-          wave.spreadAngle,
-        );
-      }
-    });
+    // Let resonators pick up matching energy and ring
+    this.resonators.forEach((resonator) =>
+      resonator.update(this.waveField, dt, this.clock()),
+    );
 
     // Clean up expired waves
     this.travelingWaves = this.travelingWaves.filter((wave) => {
@@ -607,6 +845,9 @@ class Game {
     // Render wave field
     this.waveRenderer.render();
 
+    // Render resonators
+    this.renderResonators();
+
     // Render ship
     this.renderShip();
 
@@ -614,6 +855,26 @@ class Game {
     this.renderUI();
   }
 
+  // Render resonators as rings that glow as they store energy
+  renderResonators() {
+    this.resonators.forEach((resonator) => {
+      const { x, y } = resonator.position;
+      const [r, g, b] = resonator.emitter.baseColor;
+      const glow = 0.3 + resonator.energy * 0.7;
+
+      this.ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, ${glow})`;
+      this.ctx.lineWidth = resonator.ringing ? 3 : 1.5;
+      this.ctx.beginPath();
+      this.ctx.arc(x, y, 10, 0, Math.PI * 2);
+      this.ctx.stroke();
+
+      this.ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${resonator.energy * 0.6})`;
+      this.ctx.beginPath();
+      this.ctx.arc(x, y, 10 * (0.4 + resonator.energy * 0.6), 0, Math.PI * 2);
+      this.ctx.fill();
+    });
+  }
+
   // Render the player ship
   renderShip() {
     const { x, y } = this.ship.position;
@@ -657,7 +918,7 @@ class Game {
       // Create a pulsing effect based on current time
       const pulseRate = 5 + chargeRatio * 10; // Pulse faster as charge increases
       const pulseFactor =
-        0.15 * Math.sin((Date.now() / 100) * pulseRate) + 0.85;
+        0.15 * Math.sin((this.clock() / 100) * pulseRate) + 0.85;
       const pulsingRadius = chargeRadius * pulseFactor;
 
       // Create a gradient for more dynamic look
@@ -698,13 +959,13 @@ class Game {
         for (let i = 0; i < arcCount; i++) {
           const arcStartAngle =
             ((Math.PI * 2) / arcCount) * i +
-            ((Date.now() / 500) % (Math.PI * 2));
+            ((this.clock() / 500) % (Math.PI * 2));
 
           this.ctx.beginPath();
           this.ctx.arc(
             radius * 0.5,
             0,
-            pulsingRadius * (1 + 0.2 * Math.sin(Date.now() / 200 + i)),
+            pulsingRadius * (1 + 0.2 * Math.sin(this.clock() / 200 + i)),
             arcStartAngle,
             arcStartAngle + arcLength,
           );
@@ -717,11 +978,11 @@ class Game {
 
           for (let i = 0; i < particleCount; i++) {
             // Random angle
-            const particleAngle = Math.random() * Math.PI * 2;
+            const particleAngle = this.effectsRandom() * Math.PI * 2;
 
             // Random distance from center (biased outward)
             const particleDistance =
-              pulsingRadius * (0.5 + Math.random() * 0.8);
+              pulsingRadius * (0.5 + this.effectsRandom() * 0.8);
 
             // Position
             const px =
@@ -729,10 +990,10 @@ class Game {
             const py = Math.sin(particleAngle) * particleDistance;
 
             // Size
-            const particleSize = 1 + Math.random() * 2 * chargeRatio;
+            const particleSize = 1 + this.effectsRandom() * 2 * chargeRatio;
 
             // Draw
-            this.ctx.fillStyle = `rgba(255, 255, 255, ${Math.random() * chargeRatio})`;
+            this.ctx.fillStyle = `rgba(255, 255, 255, ${this.effectsRandom() * chargeRatio})`;
             this.ctx.beginPath();
             this.ctx.arc(px, py, particleSize, 0, Math.PI * 2);
             this.ctx.fill();
@@ -746,7 +1007,7 @@ class Game {
             for (let i = 0; i < arcPairs; i++) {
               const arcAngle =
                 ((Math.PI * 2) / arcPairs) * i +
-                ((Date.now() / 300) % (Math.PI * 2));
+                ((this.clock() / 300) % (Math.PI * 2));
 
               const startX =
                 radius * 0.5 + Math.cos(arcAngle) * pulsingRadius * 0.8;
@@ -762,7 +1023,7 @@ class Game {
               this.ctx.moveTo(startX, startY);
 
               // Number of segments
-              const segments = 5 + Math.floor(Math.random() * 3);
+              const segments = 5 + Math.floor(this.effectsRandom() * 3);
 
               // Create jagged path
               let currentX = startX;
@@ -778,8 +1039,8 @@ class Game {
 
                 // Add random jitter
                 const jitterAmount =
-                  pulsingRadius * 0.3 * (1 - progress) * Math.random();
-                const jitterAngle = Math.random() * Math.PI * 2;
+                  pulsingRadius * 0.3 * (1 - progress) * this.effectsRandom();
+                const jitterAngle = this.effectsRandom() * Math.PI * 2;
 
                 currentX = targetX + Math.cos(jitterAngle) * jitterAmount;
                 currentY = targetY + Math.sin(jitterAngle) * jitterAmount;
@@ -849,6 +1110,10 @@ class Game {
     this.isRunning = false;
     this.audioRenderer.dispose();
 
+    if (this.waveField.dispose) {
+      this.waveField.dispose();
+    }
+
     // Remove event listeners
     window.removeEventListener("keydown", this.handleKeyDown);
     window.removeEventListener("keyup", this.handleKeyUp);
@@ -0,0 +1,176 @@
+// Modulation.js - ADSR envelopes and LFOs that move emitter parameters over time
+
+import { createRandom } from "./Utils.js";
+
+// Parameters that can be modulated, how a modulation is applied to each by
+// default, and the range the result is kept in
+const MODULATION_TARGETS = {
+  baseFrequency: { mode: "semitones", min: 20, max: 20000 },
+  spreadAngle: { mode: "add", min: 0, max: 360 }, // Degrees
+  waveDensity: { mode: "scale", min: 0, max: Infinity },
+  gain: { mode: "scale", min: 0, max: Infinity },
+  filterFrequency: { mode: "add", min: 20, max: 20000 },
+  angle: { mode: "add", min: -Infinity, max: Infinity }, // Radians
+};
+
+const MODULATION_MODES = ["add", "semitones", "scale"];
+const LFO_SHAPES = ["sine", "triangle", "sawtooth", "random", "sampleAndHold"];
+
+// A modulation is plain data, so it can live in emitter type presets and
+// snapshots:
+//   { target, source, depth = 1, mode = target's default }
+// where source is one of
+//   { type: "envelope", attack, decay, sustain, release }
+//       seconds, except sustain (level 0-1). Opens when the emitter is
+//       activated and releases when it is deactivated. Output 0 to 1.
+//   { type: "lfo", shape, rate, phase = 0, seed }
+//       rate in Hz, phase in cycles (0-1). Output -1 to 1. The random
+//       shapes draw from `seed`, so they repeat exactly on replay.
+// and mode is how the source's output s changes the parameter's value v:
+//   "add"        v + depth * s
+//   "semitones"  v shifted by depth * s semitones
+//   "scale"      v * (1 - depth + depth * s), so depth 1 gates v by s
+function validateModulation(modulation) {
+  if (!(modulation.target in MODULATION_TARGETS)) {
+    throw new Error(`Unknown modulation target: ${modulation.target}`);
+  }
+  if (
+    modulation.mode !== undefined &&
+    !MODULATION_MODES.includes(modulation.mode)
+  ) {
+    throw new Error(`Unknown modulation mode: ${modulation.mode}`);
+  }
+
+  const source = modulation.source || {};
+  if (source.type === "lfo") {
+    if (!LFO_SHAPES.includes(source.shape)) {
+      throw new Error(`Unknown LFO shape: ${source.shape}`);
+    }
+  } else if (source.type !== "envelope") {
+    throw new Error(`Unknown modulation source: ${source.type}`);
+  }
+}
+
+// Copy a modulation with its defaults filled in. LFOs without a seed get
+// one from `random`.
+function createModulation(modulation, random = Math.random) {
+  validateModulation(modulation);
+
+  const source = { ...modulation.source };
+  if (source.type === "lfo") {
+    source.rate = source.rate !== undefined ? source.rate : 1;
+    source.phase = source.phase || 0;
+    if (source.seed === undefined) {
+      source.seed = Math.floor(random() * 4294967296);
+    }
+  } else {
+    source.attack = source.attack || 0;
+    source.decay = source.decay || 0;
+    source.sustain = source.sustain !== undefined ? source.sustain : 1;
+    source.release = source.release || 0;
+  }
+
+  return {
+    target: modulation.target,
+    source,
+    depth: modulation.depth !== undefined ? modulation.depth : 1,
+    mode: modulation.mode || MODULATION_TARGETS[modulation.target].mode,
+  };
+}
+
+// Envelope level `time` seconds in, given when the gate opened and closed
+// (null for never / still open)
+function evaluateEnvelope(envelope, gateOnTime, gateOffTime, time) {
+  if (gateOnTime === null || time < gateOnTime) return 0;
+
+  // Attack, decay and sustain, t seconds after the gate opened
+  const heldLevel = (t) => {
+    if (t < envelope.attack) return t / envelope.attack;
+    if (t < envelope.attack + envelope.decay) {
+      return (
+        1 - ((1 - envelope.sustain) * (t - envelope.attack)) / envelope.decay
+      );
+    }
+    return envelope.sustain;
+  };
+
+  if (gateOffTime === null || time < gateOffTime) {
+    return heldLevel(time - gateOnTime);
+  }
+
+  // Release falls from wherever the level was when the gate closed
+  const released = time - gateOffTime;
+  if (released >= envelope.release) return 0;
+  return (
+    heldLevel(gateOffTime - gateOnTime) * (1 - released / envelope.release)
+  );
+}
+
+// Whether an envelope is still sounding after its gate closed
+function isEnvelopeReleasing(envelope, gateOffTime, time) {
+  return gateOffTime !== null && time - gateOffTime < envelope.release;
+}
+
+// The random value an LFO holds for one cycle, -1 to 1
+function heldValue(lfo, cycle) {
+  return createRandom(lfo.seed + Math.imul(cycle, 0x9e3779b9))() * 2 - 1;
+}
+
+// LFO output `time` seconds in
+function evaluateLFO(lfo, time) {
+  const cycles = time * lfo.rate + lfo.phase;
+  const cycle = Math.floor(cycles);
+  const position = cycles - cycle; // 0-1 through the current cycle
+
+  switch (lfo.shape) {
+    case "sine":
+      return Math.sin(position * Math.PI * 2);
+    case "triangle":
+      // Starts at 0 and rises, like the sine
+      if (position < 0.25) return position * 4;
+      if (position < 0.75) return 2 - position * 4;
+      return position * 4 - 4;
+    case "sawtooth":
+      return position * 2 - 1;
+    case "sampleAndHold":
+      return heldValue(lfo, cycle);
+    case "random": {
+      // Glide between held values with a cosine ease
+      const from = heldValue(lfo, cycle);
+      const to = heldValue(lfo, cycle + 1);
+      const ease = (1 - Math.cos(position * Math.PI)) / 2;
+      return from + (to - from) * ease;
+    }
+    default:
+      return 0;
+  }
+}
+
+// Apply a modulation whose source currently outputs `amount` to a value
+function applyModulation(modulation, value, amount) {
+  switch (modulation.mode) {
+    case "semitones":
+      return value * Math.pow(2, (modulation.depth * amount) / 12);
+    case "scale":
+      return value * (1 - modulation.depth + modulation.depth * amount);
+    default:
+      return value + modulation.depth * amount;
+  }
+}
+
+// Keep a modulated value inside its parameter's range
+function clampModulated(target, value) {
+  const { min, max } = MODULATION_TARGETS[target];
+  return Math.min(max, Math.max(min, value));
+}
+
+export {
+  MODULATION_TARGETS,
+  validateModulation,
+  createModulation,
+  evaluateEnvelope,
+  isEnvelopeReleasing,
+  evaluateLFO,
+  applyModulation,
+  clampModulated,
+};
@@ -0,0 +1,195 @@
+// Resonator.js - World objects that ring when the field around them carries their pitch
+
+import Emitter from "./Emitter.js";
+import { getPlayerColor } from "./Utils.js";
+import { snapToScale } from "./Tuning.js";
+
+class Resonator {
+  constructor(options = {}) {
+    const random = options.random || Math.random;
+    this.id = options.id || `resonator-${random().toString(36).substring(7)}`;
+    this.position = options.position || { x: 0, y: 0 };
+    this.radius = options.radius || 40; // World units of field it listens to
+
+    // Tuning. With a scaleType the pitch is snapped onto that scale, so a
+    // bell always sits on a note the weapon can play.
+    this.scaleType = options.scaleType || "chromatic";
+    this.frequency =
+      this.scaleType !== "chromatic"
+        ? snapToScale(options.frequency || 440, this.scaleType)
+        : options.frequency || 440;
+    this.q = options.q || 20; // Sharpness: response halves frequency / (2q) Hz off pitch
+
+    // Ringing
+    this.energy = 0; // Stored energy (0-1)
+    this.sensitivity = options.sensitivity || 4; // Energy gained per second per unit of matching drive
+    this.sustain = options.sustain || 1.5; // Seconds for the ring to fall to about a third
+    this.threshold = options.threshold || 0.3; // Energy at which it rings out
+    this.ringing = false;
+
+    // Called with the resonator when it starts and stops ringing
+    this.onRingStart = options.onRingStart || null;
+    this.onRingEnd = options.onRingEnd || null;
+
+    // Sound and waves go out through an ordinary emitter at exactly the
+    // tuned pitch, so chained resonators hear it in tune
+    this.emitter = new Emitter({
+      id: `${this.id}-emitter`,
+      type: "resonator",
+      playerId: options.playerId,
+      position: { ...this.position },
+      active: false,
+      spreadAngle: 360,
+      waveDensity: options.ringRate || 3,
+      color: options.color || getPlayerColor(options.playerId || 0, 0.5),
+      scaleType: this.scaleType,
+      pitchJitter: 0,
+      oscillatorType: options.oscillatorType || "sine",
+      random: options.random,
+      clock: options.clock,
+      onEmitWave: options.onEmitWave,
+    });
+    this.emitter.baseFrequency = this.frequency;
+  }
+
+  // Response to a tone of the given frequency: 1 at the tuned pitch,
+  // falling off as a resonance curve whose width is set by q
+  getResponse(frequency) {
+    const detune = (2 * this.q * (frequency - this.frequency)) / this.frequency;
+    return 1 / (1 + detune * detune);
+  }
+
+  // Average energy within range that matches the pitch. Cells with source
+  // layers count each source's own frequency; the resonator's own waves
+  // are left out so it can't keep itself ringing. That takes a field with
+  // the sourceLayers option: on one without, the resonator hears its own
+  // waves along with everything else and can keep itself ringing.
+  measureDrive(waveField) {
+    const { cells, resolution, cellWidth, cellHeight } = waveField;
+    const center = waveField.worldToGrid(this.position.x, this.position.y);
+    const reachX = Math.ceil(this.radius / cellWidth);
+    const reachY = Math.ceil(this.radius / cellHeight);
+    const ownId = waveField.sourceIds.get(this.emitter.id) || -1;
+
+    let drive = 0;
+    let cellCount = 0;
+
+    for (let y = center.y - reachY; y <= center.y + reachY; y++) {
+      for (let x = center.x - reachX; x <= center.x + reachX; x++) {
+        if (x < 0 || x >= resolution || y < 0 || y >= resolution) continue;
+
+        const i = y * resolution + x;
+        const cellCenter = waveField.gridToWorld(x, y);
+        if (
+          waveField.solid[i] ||
+          Math.hypot(
+            cellCenter.x - this.position.x,
+            cellCenter.y - this.position.y,
+          ) > this.radius
+        ) {
+          continue;
+        }
+
+        cellCount++;
+        if (cells.energy[i] <= 0) continue;
+
+        let layered = false;
+        let ownEnergy = 0;
+        let cellDrive = 0;
+        for (let k = 0; k < cells.sourceId.length; k++) {
+          const id = cells.sourceId[k][i];
+          if (id === 0) continue;
+
+          layered = true;
+          if (id === ownId) {
+            ownEnergy += cells.sourceEnergy[k][i];
+          } else {
+            cellDrive +=
+              cells.sourceEnergy[k][i] *
+              this.getResponse(cells.sourceFrequency[k][i]);
+          }
+        }
+
+        if (!layered) {
+          cellDrive = cells.energy[i] * this.getResponse(cells.frequency[i]);
+        }
+
+        // Where the resonator's own waves pass through, the field's shared
+        // displacement also props up the other layers, so discount them by
+        // the resonator's share of the cell
+        drive += cellDrive * (1 - ownEnergy / cells.energy[i]);
+      }
+    }
+
+    return cellCount > 0 ? drive / cellCount : 0;
+  }
+
+  // Take in matching energy from the field, let the stored energy ring
+  // down, and emit waves while it is above the threshold
+  update(waveField, deltaTime, currentTime = this.emitter.clock()) {
+    const drive = this.measureDrive(waveField);
+    this.energy = Math.min(
+      1,
+      Math.max(
+        0,
+        this.energy +
+          (drive * this.sensitivity - this.energy / this.sustain) * deltaTime,
+      ),
+    );
+
+    const ringing = this.energy >= this.threshold;
+    if (ringing !== this.ringing) {
+      this.ringing = ringing;
+      if (ringing) {
+        this.emitter.activate();
+        if (typeof this.onRingStart === "function") this.onRingStart(this);
+      } else {
+        this.emitter.deactivate();
+        if (typeof this.onRingEnd === "function") this.onRingEnd(this);
+      }
+    }
+
+    this.emitter.update({ ...this.position });
+    if (this.ringing && this.emitter.shouldEmitWave(currentTime)) {
+      this.emitter.emitWave(this.energy, currentTime);
+    }
+  }
+
+  // Plain-object state, like Emitter.toJSON()
+  toJSON() {
+    return {
+      id: this.id,
+      position: { ...this.position },
+      radius: this.radius,
+      scaleType: this.scaleType,
+      frequency: this.frequency,
+      q: this.q,
+      energy: this.energy,
+      sensitivity: this.sensitivity,
+      sustain: this.sustain,
+      threshold: this.threshold,
+      ringing: this.ringing,
+      emitter: this.emitter.toJSON(),
+    };
+  }
+
+  // Recreate a resonator from toJSON() output; callbacks, random and clock
+  // come from `options`
+  static fromJSON(data, options = {}) {
+    const resonator = new Resonator({ ...data, ...options });
+
+    resonator.frequency = data.frequency;
+    resonator.energy = data.energy;
+    resonator.ringing = data.ringing;
+    resonator.emitter = Emitter.fromJSON(data.emitter, {
+      pitchJitter: 0,
+      random: options.random,
+      clock: options.clock,
+      onEmitWave: options.onEmitWave,
+    });
+
+    return resonator;
+  }
+}
+
+export default Resonator;
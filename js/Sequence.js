@@ -0,0 +1,107 @@
+// Sequence.js - Step sequences and arpeggios that give emitters a melody
+
+const ARPEGGIO_MODES = ["up", "down", "upDown", "random", "chord"];
+
+// Scale degrees of a chord built on the root: every other degree (a triad
+// in seven-note scales)
+const CHORD_DEGREES = [0, 2, 4];
+
+// A sequence is plain data, so it can live in emitter type presets and
+// snapshots. Either a step sequence
+//   { steps: [0, 2, 4, { degree: 0, octave: 1 }, null] }
+// where a step is a scale degree counted from the emitter's note, an
+// object with a degree and an octave offset, or null for a rest; or an
+// arpeggio
+//   { arpeggio: "up", octaves = 1 }
+// which walks the scale (or with "chord", the chord tones) from the
+// emitter's note up through `octaves` octaves: "up", "down", "upDown"
+// (without repeating the ends), "random" or "chord".
+function validateSequence(sequence) {
+  if (Array.isArray(sequence.steps)) {
+    if (sequence.steps.length === 0) {
+      throw new Error("A step sequence needs at least one step");
+    }
+    sequence.steps.forEach((step) => {
+      const degree =
+        step !== null && typeof step === "object" ? step.degree : step;
+      if (step !== null && !Number.isInteger(degree)) {
+        throw new Error(`Invalid sequence step: ${JSON.stringify(step)}`);
+      }
+    });
+  } else if (!ARPEGGIO_MODES.includes(sequence.arpeggio)) {
+    throw new Error(`Unknown arpeggio mode: ${sequence.arpeggio}`);
+  }
+}
+
+// Copy a sequence with its defaults filled in and steps as objects
+function createSequence(sequence) {
+  validateSequence(sequence);
+
+  if (sequence.steps) {
+    return {
+      steps: sequence.steps.map((step) => {
+        if (step === null) return null;
+        if (typeof step === "number") return { degree: step, octave: 0 };
+        return { degree: step.degree, octave: step.octave || 0 };
+      }),
+    };
+  }
+
+  return {
+    arpeggio: sequence.arpeggio,
+    octaves: Math.max(1, sequence.octaves || 1),
+  };
+}
+
+// Scale degrees an arpeggio plays in order, for a scale with
+// `scaleLength` notes per octave
+function getArpeggioDegrees(sequence, scaleLength) {
+  const span = scaleLength * sequence.octaves;
+  const rising = [];
+
+  if (sequence.arpeggio === "chord") {
+    for (let octave = 0; octave < sequence.octaves; octave++) {
+      CHORD_DEGREES.forEach((degree) => {
+        if (degree < scaleLength) rising.push(octave * scaleLength + degree);
+      });
+    }
+    return rising;
+  }
+
+  for (let degree = 0; degree < span; degree++) {
+    rising.push(degree);
+  }
+
+  switch (sequence.arpeggio) {
+    case "down":
+      return rising.reverse();
+    case "upDown":
+      return rising.concat(rising.slice(1, -1).reverse());
+    default:
+      return rising;
+  }
+}
+
+// Number of steps before a sequence repeats
+function getSequenceLength(sequence, scaleLength) {
+  return sequence.steps
+    ? sequence.steps.length
+    : getArpeggioDegrees(sequence, scaleLength).length;
+}
+
+// The note for step `index` as scale degrees above the emitter's note, or
+// null for a rest. Random arpeggios draw from `random`.
+function getSequenceStep(sequence, index, scaleLength, random = Math.random) {
+  if (sequence.steps) {
+    const step = sequence.steps[index % sequence.steps.length];
+    return step === null ? null : step.degree + step.octave * scaleLength;
+  }
+
+  const degrees = getArpeggioDegrees(sequence, scaleLength);
+  if (sequence.arpeggio === "random") {
+    return degrees[Math.floor(random() * degrees.length)];
+  }
+  return degrees[index % degrees.length];
+}
+
+export { validateSequence, createSequence, getSequenceLength, getSequenceStep };
@@ -0,0 +1,132 @@
+// Transport.js - Tempo, time signature and swing for beat-synced emission
+
+// Musical time on top of a clock in seconds (normally the audio context's
+// currentTime, so the grid lines up with what is heard). Times passed in
+// and returned are on that clock.
+class Transport {
+  constructor(options = {}) {
+    this.getTime = options.getTime || (() => performance.now() / 1000);
+
+    this.bpm = options.bpm || 120; // Beats per minute, counted in beatUnit notes
+    this.beatsPerBar = options.beatsPerBar || 4;
+    this.beatUnit = options.beatUnit || 4; // 4 = quarter-note beats, 8 = eighths
+    this.swing = options.swing || 0; // 0 = straight, 1 = full triplet shuffle
+    this.swingUnit = options.swingUnit || "1/8"; // Note value whose off-beats are delayed
+
+    // How far ahead emitters may schedule onto the grid (seconds). Needs
+    // to cover a slow frame, so nothing due before the next update is missed.
+    this.lookahead = options.lookahead || 0.1;
+
+    // Clock time of bar 1, beat 1
+    this.startTime =
+      options.startTime !== undefined ? options.startTime : this.getTime();
+  }
+
+  // Length of a beat in seconds
+  get secondsPerBeat() {
+    return 60 / this.bpm;
+  }
+
+  // Length of a bar in seconds
+  get secondsPerBar() {
+    return this.secondsPerBeat * this.beatsPerBar;
+  }
+
+  // Current clock time
+  now() {
+    return this.getTime();
+  }
+
+  // Change tempo without jumping: the beat playing now stays where it is
+  setTempo(bpm) {
+    const now = this.getTime();
+    const beats = (now - this.startTime) / this.secondsPerBeat;
+    this.bpm = bpm;
+    this.startTime = now - beats * this.secondsPerBeat;
+  }
+
+  // Length in seconds of a note value such as "1/4", "1/8." (dotted) or
+  // "1/8t" (triplet)
+  getNoteDuration(noteValue) {
+    const wholeNotes = Transport.parseNoteValue(noteValue);
+    return wholeNotes * this.beatUnit * this.secondsPerBeat;
+  }
+
+  // Offset from the start of a grid of `step` seconds with swing applied:
+  // points that fall on odd swing-unit positions are pushed late by up to a
+  // third of a unit. Grids finer than half a unit stay straight, since the
+  // push would carry a point past the ones after it.
+  applySwing(offset, step) {
+    if (this.swing <= 0) return offset;
+
+    const unit = this.getNoteDuration(this.swingUnit);
+    if (step * 2 < unit * (1 - 1e-6)) return offset;
+
+    const position = offset / unit;
+    const index = Math.round(position);
+    if (Math.abs(position - index) > 1e-6 || index % 2 === 0) return offset;
+
+    return offset + (this.swing * unit) / 3;
+  }
+
+  // The first point of a note value's grid at or after `time`
+  nextGridTime(noteValue, time = this.getTime()) {
+    const step = this.getNoteDuration(noteValue);
+    let index = Math.floor((time - this.startTime) / step) - 1;
+
+    // Swing only moves points later, so walk forward to the first one due
+    let gridTime = this.startTime + this.applySwing(index * step, step);
+    while (gridTime < time - 1e-9) {
+      index++;
+      gridTime = this.startTime + this.applySwing(index * step, step);
+    }
+
+    return gridTime;
+  }
+
+  // Bar and beat (both from 1) and how far into the beat (0-1) at a time
+  getPosition(time = this.getTime()) {
+    const beats = Math.max(0, (time - this.startTime) / this.secondsPerBeat);
+    const wholeBeats = Math.floor(beats);
+
+    return {
+      bar: Math.floor(wholeBeats / this.beatsPerBar) + 1,
+      beat: (wholeBeats % this.beatsPerBar) + 1,
+      fraction: beats - wholeBeats,
+    };
+  }
+
+  // Settings as a plain object (the time source is left out)
+  toJSON() {
+    return {
+      bpm: this.bpm,
+      beatsPerBar: this.beatsPerBar,
+      beatUnit: this.beatUnit,
+      swing: this.swing,
+      swingUnit: this.swingUnit,
+      lookahead: this.lookahead,
+      startTime: this.startTime,
+    };
+  }
+
+  // Apply settings from toJSON()
+  loadJSON(data) {
+    Object.assign(this, data);
+  }
+
+  // A note value as a fraction of a whole note: "1/4" is 0.25, "1/8." is
+  // 0.1875 and "1/8t" is 1/12. Throws on anything else.
+  static parseNoteValue(noteValue) {
+    const match = /^(\d+)\/(\d+)(\.|t)?$/.exec(String(noteValue).trim());
+    if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+      throw new Error(`Unknown note value: ${noteValue}`);
+    }
+
+    const length = Number(match[1]) / Number(match[2]);
+    if (match[3] === ".") return length * 1.5;
+    if (match[3] === "t") return (length * 2) / 3;
+    return length;
+  }
+}
+
+export default Transport;
@@ -0,0 +1,461 @@
+// Tuning.js - Tunings, scales and Scala import for snapping pitches to notes
+
+// Pitch classes of note names, for roots given as "C", "F#4" or "Bb3"
+const NOTE_NAMES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Convert a frequency ratio to cents
+function ratioToCents(ratio) {
+  return 1200 * Math.log2(ratio);
+}
+
+// Quarter-comma meantone: pure major thirds, fifths narrowed to match. The
+// twelve notes run along the chain of fifths from Eb to G#.
+function meantoneCents() {
+  const fifth = ratioToCents(5) / 4;
+  const cents = new Array(12);
+  for (let fifths = -3; fifths <= 8; fifths++) {
+    const note = (((fifths * 7) % 12) + 12) % 12;
+    cents[note] = (((fifths * fifth) % 1200) + 1200) % 1200;
+  }
+  return cents;
+}
+
+// Cents above the root of the twelve chromatic notes, per temperament.
+// Scales given as semitone steps are played in the current one.
+const TEMPERAMENTS = {
+  equal: Array.from({ length: 12 }, (_, i) => i * 100),
+  // Five-limit just intonation
+  just: [
+    1,
+    16 / 15,
+    9 / 8,
+    6 / 5,
+    5 / 4,
+    4 / 3,
+    45 / 32,
+    3 / 2,
+    8 / 5,
+    5 / 3,
+    9 / 5,
+    15 / 8,
+  ].map(ratioToCents),
+  pythagorean: [
+    1,
+    256 / 243,
+    9 / 8,
+    32 / 27,
+    81 / 64,
+    4 / 3,
+    729 / 512,
+    3 / 2,
+    128 / 81,
+    27 / 16,
+    16 / 9,
+    243 / 128,
+  ].map(ratioToCents),
+  meantone: meantoneCents(),
+};
+
+// Built-in scales as semitone steps from the root
+const BUILT_IN_SCALES = {
+  major: { steps: [0, 2, 4, 5, 7, 9, 11] },
+  minor: { steps: [0, 2, 3, 5, 7, 8, 10] },
+  pentatonic: { steps: [0, 2, 4, 7, 9] },
+  minorPentatonic: { steps: [0, 3, 5, 7, 10] },
+  harmonicMinor: { steps: [0, 2, 3, 5, 7, 8, 11] },
+  chromatic: { steps: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] },
+  // Church modes (major is ionian, minor is aeolian)
+  dorian: { steps: [0, 2, 3, 5, 7, 9, 10] },
+  phrygian: { steps: [0, 1, 3, 5, 7, 8, 10] },
+  lydian: { steps: [0, 2, 4, 6, 7, 9, 11] },
+  mixolydian: { steps: [0, 2, 4, 5, 7, 9, 10] },
+  locrian: { steps: [0, 1, 3, 5, 6, 8, 10] },
+};
+
+// The global tuning. Scales are rooted at `root` (a MIDI note), and the
+// pitch of `referenceNote` is `referenceFrequency`. A root of A4 with
+// A4 = 440 Hz is how scales were always tuned here.
+const DEFAULT_TUNING = {
+  temperament: "equal", // A name from TEMPERAMENTS, or twelve cents values
+  root: 69, // A4
+  referenceNote: 69, // A4
+  referenceFrequency: 440,
+};
+
+let tuning = { ...DEFAULT_TUNING };
+
+// Registered scales by name, and resolved ones cached until something changes
+const scales = new Map();
+const resolvedScales = new Map();
+
+// MIDI note number for a note name such as "C", "F#4" or "Bb3" (octave 4
+// when left out), or a number passed through
+function parseNote(note) {
+  if (typeof note === "number") return note;
+
+  const match = /^([A-Ga-g])([#b]?)(-?\d+)?$/.exec(String(note).trim());
+  if (!match) {
+    throw new Error(`Unknown note: ${note}`);
+  }
+
+  const accidental = match[2] === "#" ? 1 : match[2] === "b" ? -1 : 0;
+  const octave = match[3] !== undefined ? Number(match[3]) : 4;
+  return (octave + 1) * 12 + NOTE_NAMES[match[1].toUpperCase()] + accidental;
+}
+
+// A pitch as cents: numbers are cents, strings are ratios ("3/2" or "2")
+function parsePitch(pitch) {
+  if (typeof pitch === "number") return pitch;
+
+  const [numerator, denominator = "1"] = String(pitch).trim().split("/");
+  const ratio = Number(numerator) / Number(denominator);
+  if (!(ratio > 0) || !Number.isFinite(ratio)) {
+    throw new Error(`Invalid pitch: ${pitch}`);
+  }
+  return ratioToCents(ratio);
+}
+
+// Twelve cents values for a temperament name or array
+function getTemperamentCents(temperament) {
+  if (Array.isArray(temperament)) {
+    if (temperament.length !== 12) {
+      throw new Error("A temperament needs twelve cents values");
+    }
+    return temperament;
+  }
+  if (!TEMPERAMENTS[temperament]) {
+    throw new Error(`Unknown temperament: ${temperament}`);
+  }
+  return TEMPERAMENTS[temperament];
+}
+
+// Change the global tuning. Takes any of temperament, root,
+// referenceNote (both MIDI numbers or note names) and referenceFrequency;
+// the rest stay as they are.
+function setTuning(settings = {}) {
+  const next = { ...tuning, ...settings };
+  getTemperamentCents(next.temperament);
+  next.root = parseNote(next.root);
+  next.referenceNote = parseNote(next.referenceNote);
+  if (!(next.referenceFrequency > 0)) {
+    throw new Error(`Invalid reference frequency: ${next.referenceFrequency}`);
+  }
+
+  tuning = next;
+  resolvedScales.clear();
+}
+
+// The global tuning settings
+function getTuning() {
+  return {
+    ...tuning,
+    temperament: Array.isArray(tuning.temperament)
+      ? tuning.temperament.slice()
+      : tuning.temperament,
+  };
+}
+
+// Declare (or redeclare) a scale. Either
+//   { steps: [0, 2, 4, ...] }
+//       semitones from the root, played in the global temperament
+//   { pitches: [0, "9/8", 386.3, ...], period = "2/1" }
+//       notes from the root in cents (numbers) or ratios (strings), for
+//       just scales and other temperaments; period is the interval the
+//       scale repeats at
+// Either kind may also set root, referenceNote and referenceFrequency to
+// override the global tuning for this scale, and a Scala keyboard
+// `mapping` (see parseKeyboardMapping).
+function defineScale(name, definition) {
+  const notes = definition.steps || definition.pitches;
+  if (!Array.isArray(notes) || notes.length === 0) {
+    throw new Error(`Scale "${name}" needs steps or pitches`);
+  }
+
+  const scale = { ...definition };
+  if (scale.steps) {
+    scale.steps.forEach((step) => {
+      if (!Number.isInteger(step)) {
+        throw new Error(`Invalid step ${step} in scale "${name}"`);
+      }
+    });
+  } else {
+    scale.pitches.forEach(parsePitch);
+    if (!(parsePitch(scale.period || 1200) > 0)) {
+      throw new Error(`Invalid period in scale "${name}"`);
+    }
+  }
+  ["root", "referenceNote"].forEach((key) => {
+    if (scale[key] !== undefined) scale[key] = parseNote(scale[key]);
+  });
+
+  scales.set(name, scale);
+  resolvedScales.clear();
+}
+
+// Whether a scale has been declared
+function hasScale(name) {
+  return scales.has(name);
+}
+
+// A scale's definition as declared, e.g. to save it as JSON
+function getScale(name) {
+  if (!scales.has(name)) {
+    throw new Error(`Unknown scale: ${name}`);
+  }
+  return JSON.parse(JSON.stringify(scales.get(name)));
+}
+
+// Parse the text of a Scala .scl file into { description, pitches, period }
+// for defineScale. Lines starting with "!" are comments; then come a
+// description, the number of notes and one pitch per line (cents if it
+// has a ".", otherwise a ratio), the last being the period.
+function parseScala(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .filter((line) => !line.trimStart().startsWith("!"));
+
+  const description = (lines[0] || "").trim();
+  const count = parseInt(lines[1], 10);
+  if (!(count > 0)) {
+    throw new Error("Scala file has no notes");
+  }
+
+  const values = lines
+    .slice(2)
+    .map((line) => line.trim().split(/\s+/)[0])
+    .filter((value) => value !== "")
+    .slice(0, count)
+    .map((value) => (value.includes(".") ? parseFloat(value) : value));
+  if (values.length < count) {
+    throw new Error(`Scala file lists ${values.length} of ${count} notes`);
+  }
+
+  return {
+    description,
+    pitches: [0, ...values.slice(0, -1)],
+    period: values[values.length - 1],
+  };
+}
+
+// Parse the text of a Scala .kbm keyboard mapping into { root,
+// referenceNote, referenceFrequency, formalOctaveDegree, mapping }. The
+// mapping lists the scale degree for each key from the root (null for
+// unmapped keys); empty means degrees follow keys one to one.
+function parseKeyboardMapping(text) {
+  const values = text
+    .split(/\r?\n/)
+    .filter((line) => !line.trimStart().startsWith("!"))
+    .map((line) => line.trim().split(/\s+/)[0])
+    .filter((value) => value !== "");
+
+  if (values.length < 7) {
+    throw new Error("Keyboard mapping is missing its header");
+  }
+
+  const mapSize = parseInt(values[0], 10);
+  const mapping = values
+    .slice(7, 7 + mapSize)
+    .map((value) => (value === "x" ? null : parseInt(value, 10)));
+  if (mapping.length < mapSize) {
+    throw new Error(
+      `Keyboard mapping lists ${mapping.length} of ${mapSize} keys`,
+    );
+  }
+
+  return {
+    root: parseInt(values[3], 10), // "Middle note": where degree 0 sits
+    referenceNote: parseInt(values[4], 10),
+    referenceFrequency: parseFloat(values[5]),
+    formalOctaveDegree: parseInt(values[6], 10),
+    mapping,
+  };
+}
+
+// Declare a scale from Scala files: the .scl text, and optionally a .kbm
+// to place it on the keyboard
+function loadScala(name, sclText, kbmText) {
+  const { description, ...scale } = parseScala(sclText);
+  const definition = kbmText
+    ? { ...scale, ...parseKeyboardMapping(kbmText) }
+    : scale;
+
+  defineScale(name, { ...definition, description });
+  return getScale(name);
+}
+
+// Work out a scale's notes in cents above its root, the period they repeat
+// at and the root's frequency, under the global tuning
+function resolveScale(scaleType) {
+  if (resolvedScales.has(scaleType)) return resolvedScales.get(scaleType);
+
+  const scale = scales.get(scaleType) || scales.get("major");
+  const temperament = getTemperamentCents(tuning.temperament);
+
+  // Every note of the scale, in order, over one period
+  let degrees;
+  let period;
+  if (scale.steps) {
+    period = 1200;
+    degrees = scale.steps.map(
+      (step) =>
+        temperament[((step % 12) + 12) % 12] + Math.floor(step / 12) * 1200,
+    );
+  } else {
+    period = parsePitch(scale.period || 1200);
+    degrees = scale.pitches.map(parsePitch);
+  }
+
+  // Pitch of the key `keys` above the root: semitones of the temperament
+  // for step scales, degrees of the scale (through its mapping) otherwise
+  const keyCents = (keys) => {
+    if (scale.steps) {
+      const note = ((keys % 12) + 12) % 12;
+      return temperament[note] + ((keys - note) / 12) * 1200;
+    }
+
+    const mapping = scale.mapping || [];
+    if (mapping.length === 0) {
+      const count = degrees.length;
+      const degree = ((keys % count) + count) % count;
+      return degrees[degree] + ((keys - degree) / count) * period;
+    }
+
+    const octaveDegree =
+      scale.formalOctaveDegree !== undefined
+        ? scale.formalOctaveDegree
+        : degrees.length;
+    const octave =
+      octaveDegree >= degrees.length
+        ? period
+        : degrees[octaveDegree] +
+          Math.floor(octaveDegree / degrees.length) * period;
+    const index = ((keys % mapping.length) + mapping.length) % mapping.length;
+    const degree = mapping[index] !== null ? mapping[index] : 0;
+    return degrees[degree] + ((keys - index) / mapping.length) * octave;
+  };
+
+  const root = scale.root !== undefined ? scale.root : tuning.root;
+  const referenceNote =
+    scale.referenceNote !== undefined
+      ? scale.referenceNote
+      : tuning.referenceNote;
+  const referenceFrequency =
+    scale.referenceFrequency !== undefined
+      ? scale.referenceFrequency
+      : tuning.referenceFrequency;
+
+  // A keyboard mapping can leave degrees out: only mapped ones are notes
+  let notes = degrees;
+  if (scale.mapping && scale.mapping.length > 0) {
+    notes = scale.mapping
+      .filter((degree) => degree !== null)
+      .map((degree) => degrees[degree]);
+  }
+  notes = [
+    ...new Set(notes.map((cents) => ((cents % period) + period) % period)),
+  ].sort((a, b) => a - b);
+
+  const resolved = {
+    notes,
+    period,
+    rootFrequency:
+      referenceFrequency / Math.pow(2, keyCents(referenceNote - root) / 1200),
+  };
+  resolvedScales.set(scaleType, resolved);
+  return resolved;
+}
+
+// Nearest note of a resolved scale to a pitch in cents above its root, as
+// the period it is in and its index in that period
+function findNearestNote(resolved, cents) {
+  const { notes, period } = resolved;
+  let periods = Math.floor(cents / period);
+  const within = cents - periods * period;
+
+  let index = 0;
+  let distance = Infinity;
+  notes.forEach((note, i) => {
+    if (Math.abs(within - note) < distance) {
+      distance = Math.abs(within - note);
+      index = i;
+    }
+  });
+
+  // The lowest note of the next period up, or the highest of the one below
+  if (Math.abs(within - (notes[0] + period)) < distance) {
+    return { periods: periods + 1, index: 0 };
+  }
+  if (Math.abs(within - (notes[notes.length - 1] - period)) < distance) {
+    periods -= 1;
+    index = notes.length - 1;
+  }
+
+  return { periods, index };
+}
+
+// Map a frequency to the nearest note in a scale
+function snapToScale(frequency, scaleType = "major") {
+  const resolved = resolveScale(scaleType);
+  const cents = ratioToCents(frequency / resolved.rootFrequency);
+  const { periods, index } = findNearestNote(resolved, cents);
+
+  return (
+    resolved.rootFrequency *
+    Math.pow(2, (periods * resolved.period + resolved.notes[index]) / 1200)
+  );
+}
+
+// Move a frequency `steps` scale degrees up (or down, if negative) from
+// the nearest note of the scale. The result keeps any detuning the
+// frequency had from that note.
+function stepInScale(frequency, steps, scaleType = "major") {
+  const resolved = resolveScale(scaleType);
+  const { notes, period } = resolved;
+  const cents = ratioToCents(frequency / resolved.rootFrequency);
+  const { periods, index } = findNearestNote(resolved, cents);
+
+  // Walk the degrees, wrapping into the periods above or below
+  const target = index + steps;
+  const targetPeriods = periods + Math.floor(target / notes.length);
+  const targetIndex = ((target % notes.length) + notes.length) % notes.length;
+
+  const shift =
+    targetPeriods * period +
+    notes[targetIndex] -
+    (periods * period + notes[index]);
+  return frequency * Math.pow(2, shift / 1200);
+}
+
+// Number of notes a scale has per period
+function getScaleLength(scaleType = "major") {
+  return resolveScale(scaleType).notes.length;
+}
+
+// Put the tuning back to the default and the scales to the built-in ones
+function resetTuning() {
+  tuning = { ...DEFAULT_TUNING };
+  scales.clear();
+  Object.keys(BUILT_IN_SCALES).forEach((name) => {
+    scales.set(name, { ...BUILT_IN_SCALES[name] });
+  });
+  resolvedScales.clear();
+}
+
+resetTuning();
+
+export {
+  TEMPERAMENTS,
+  parseNote,
+  setTuning,
+  getTuning,
+  defineScale,
+  hasScale,
+  getScale,
+  parseScala,
+  parseKeyboardMapping,
+  loadScala,
+  snapToScale,
+  stepInScale,
+  getScaleLength,
+  resetTuning,
+};
@@ -1,55 +1,55 @@
 // Utils.js - Utility functions for audio and visual aspects
 
-// Map a frequency to the nearest note in a scale
-function snapToScale(frequency, scaleType = "major") {
-  const baseFreq = 440; // A4
-
-  // Define different scale patterns (semitones from root)
-  const scales = {
-    major: [0, 2, 4, 5, 7, 9, 11], // C D E F G A B
-    minor: [0, 2, 3, 5, 7, 8, 10], // A B C D E F G
-    pentatonic: [0, 2, 4, 7, 9], // C D E G A
-    minorPentatonic: [0, 3, 5, 7, 10], // A C D E G
-    harmonicMinor: [0, 2, 3, 5, 7, 8, 11], // A B C D E F G#
-    chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+// Seedable pseudo-random generator (mulberry32). Returns a drop-in for
+// Math.random; the same seed always produces the same sequence. getState()
+// and setState() save and resume the sequence, e.g. across snapshots.
+function createRandom(seed = 0) {
+  let state = seed >>> 0;
+
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
   };
 
-  // Get the scale pattern
-  const scalePattern = scales[scaleType] || scales.major;
+  random.getState = () => state;
+  random.setState = (value) => {
+    state = value >>> 0;
+  };
 
-  // Convert frequency to semitones relative to A4
-  const semitones = 12 * Math.log2(frequency / baseFreq);
+  return random;
+}
 
-  // Calculate octave and semitone within octave
-  const octave = Math.floor(semitones / 12);
-  const semitonesInOctave = ((semitones % 12) + 12) % 12;
+// Wall clock in milliseconds, the default wherever a clock can be injected
+const systemClock = () => performance.now();
 
-  // Find closest note in scale
-  let minDistance = Infinity;
-  let closestNote = 0;
+// Clock in milliseconds that only moves when advanced, for deterministic
+// runs. Call it like systemClock; advance() and set() move it.
+function createManualClock(startTime = 0) {
+  let now = startTime;
 
-  for (let i = 0; i < scalePattern.length; i++) {
-    // Try each note in the current octave
-    const distance = Math.abs(semitonesInOctave - scalePattern[i]);
-    if (distance < minDistance) {
-      minDistance = distance;
-      closestNote = scalePattern[i];
-    }
-
-    // Also check the note an octave lower (for edge cases)
-    const lowerDistance = Math.abs(semitonesInOctave - (scalePattern[i] - 12));
-    if (lowerDistance < minDistance) {
-      minDistance = lowerDistance;
-      closestNote = scalePattern[i] - 12;
-    }
-  }
+  const clock = () => now;
+  clock.advance = (milliseconds) => {
+    now += milliseconds;
+    return now;
+  };
+  clock.set = (time) => {
+    now = time;
+  };
 
-  // Convert back to frequency
-  return baseFreq * Math.pow(2, (octave * 12 + closestNote) / 12);
+  return clock;
 }
 
-// Create an impulse response for convolver (reverb)
-function createReverbImpulse(audioContext, duration = 2.0, decay = 2.0) {
+// Create an impulse response for convolver (reverb). Pass a seeded random
+// to get the same impulse every time.
+function createReverbImpulse(
+  audioContext,
+  duration = 2.0,
+  decay = 2.0,
+  random = Math.random,
+) {
   const sampleRate = audioContext.sampleRate;
   const length = sampleRate * duration;
   const impulse = audioContext.createBuffer(2, length, sampleRate);
@@ -62,13 +62,49 @@ function createReverbImpulse(audioContext, duration = 2.0, decay = 2.0) {
     // Decay curve
     const amplitude = Math.pow(1 - n, decay);
     // Random values for natural reverb
-    leftChannel[i] = (Math.random() * 2 - 1) * amplitude;
-    rightChannel[i] = (Math.random() * 2 - 1) * amplitude;
+    leftChannel[i] = (random() * 2 - 1) * amplitude;
+    rightChannel[i] = (random() * 2 - 1) * amplitude;
   }
 
   return impulse;
 }
 
+// Generate a wavetable to play grains from: a tone at `frequency` whose
+// upper harmonics fade in along the buffer, from a pure sine at the start
+// to a bright sawtooth-like tone at the end. Where a grain is read from
+// sets its timbre. Whole cycles fit the buffer, so grains that wrap round
+// the end stay in phase.
+function createGrainWavetable(audioContext, frequency = 220, duration = 1.0) {
+  const sampleRate = audioContext.sampleRate;
+  const cycles = Math.max(1, Math.round(frequency * duration));
+  const length = Math.round((cycles / frequency) * sampleRate);
+  const buffer = audioContext.createBuffer(1, length, sampleRate);
+  const data = buffer.getChannelData(0);
+
+  // Harmonics below Nyquist, so the brightest end doesn't alias
+  const harmonics = Math.max(
+    1,
+    Math.min(16, Math.floor(sampleRate / 2 / frequency)),
+  );
+
+  let peak = 0;
+  for (let i = 0; i < length; i++) {
+    const brightness = i / length;
+    const phase = ((i * frequency) / sampleRate) * Math.PI * 2;
+    let sample = Math.sin(phase);
+    for (let n = 2; n <= harmonics; n++) {
+      sample += (Math.sin(phase * n) * brightness) / n;
+    }
+    data[i] = sample;
+    peak = Math.max(peak, Math.abs(sample));
+  }
+  for (let i = 0; i < length; i++) {
+    data[i] /= peak;
+  }
+
+  return buffer;
+}
+
 // Convert HSL to RGB (for generating colors)
 function hslToRgb(h, s, l) {
   let r, g, b;
@@ -139,8 +175,11 @@ function getDirectionalCoordinates(x, y, angle, distance, spreadAngle) {
 }
 
 export {
-  snapToScale,
+  createRandom,
+  systemClock,
+  createManualClock,
   createReverbImpulse,
+  createGrainWavetable,
   hslToRgb,
   getPlayerColor,
   getDirectionalCoordinates,
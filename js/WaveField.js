@@ -1,29 +1,416 @@
 // WaveField.js - Handles the wave field data and its evolution
 
+import FieldRegion from "./FieldRegion.js";
+
+// Per-cell channels. Each one is a Float32Array view into a single
+// ArrayBuffer so a whole buffer set can be copied or swapped at once.
+// Every channel is in cells.channels by name; these first ones are also
+// properties of the buffer set itself (cells.energy, ...).
+const CELL_CHANNELS = [
+  "energy", // Current energy level (0-1)
+  "frequency", // Base frequency in Hz
+  "r", // RGB color values
+  "g",
+  "b",
+  "phase", // Current phase (0-2π)
+  "vx", // Directional velocity
+  "vy",
+  "lastActive", // Time step of last activity
+  "amplitude", // Signed wave displacement used for propagation
+  "prevAmplitude", // Displacement at the previous propagation step
+  "beatFrequency", // Offset in Hz of a second tone interfering with this one
+  "beatDepth", // Strength of that second tone relative to the first (0-1)
+];
+
+// Besides the blended tone above, a field created with the sourceLayers
+// option keeps up to that many separate contributions per cell, one per
+// source (emitter, player, ...), so overlapping tones stay distinct instead
+// of averaging out. Every slot of every layer field is a channel of its own
+// ("sourceEnergy0", ...), and the buffer set groups them per field
+// (cells.sourceEnergy[slot]). Layer energies always add up to the cell's
+// energy. Fields have no layers unless asked: each slot costs six more
+// channels and merging them slows every advect and lift pass. Without
+// them, dominance region conditions can't be used and resonators can't
+// tell their own waves from the rest.
+const LAYER_FIELDS = [
+  "sourceId", // Registered source id (see getSourceId); 0 for an empty slot
+  "sourceEnergy", // This source's share of the cell's energy
+  "sourceFrequency", // This source's own frequency and color
+  "sourceR",
+  "sourceG",
+  "sourceB",
+];
+
+// Every channel of a field with the given number of layer slots
+function getCellChannels(sourceLayers) {
+  const channels = CELL_CHANNELS.slice();
+  for (let slot = 0; slot < sourceLayers; slot++) {
+    LAYER_FIELDS.forEach((field) => channels.push(`${field}${slot}`));
+  }
+  return channels;
+}
+
+// Channels carried along with energy when field content moves
+const TONE_CHANNELS = [
+  "frequency",
+  "r",
+  "g",
+  "b",
+  "vx",
+  "vy",
+  "beatFrequency",
+  "beatDepth",
+];
+
+// Built-in cell materials, indexed by material id. A null decayRate follows
+// the field's own decayRate; propagationScale multiplies the wave speed.
+const DEFAULT_MATERIALS = [
+  {
+    name: "open",
+    solid: false,
+    decayRate: null,
+    propagationScale: 1.0,
+    color: null,
+  },
+  {
+    name: "wall", // Reflects waves and blocks pulses
+    solid: true,
+    decayRate: 0,
+    propagationScale: 0,
+    color: [90, 90, 110],
+  },
+  {
+    name: "damper", // Soaks up energy passing through
+    solid: false,
+    decayRate: 0.8,
+    propagationScale: 1.0,
+    color: [45, 25, 25],
+  },
+  {
+    name: "slow", // Slow medium: waves bend and linger inside it
+    solid: false,
+    decayRate: 0.99,
+    propagationScale: 0.5,
+    color: [20, 35, 60],
+  },
+];
+
+// Mask characters understood by loadMaterialMask by default
+const DEFAULT_MASK_LEGEND = {
+  ".": "open",
+  " ": "open",
+  "#": "wall",
+  "~": "damper",
+  s: "slow",
+};
+
+// Field settings captured in snapshots
+const SNAPSHOT_SETTINGS = [
+  "decayRate",
+  "propagationSpeed",
+  "maxCourant",
+  "maxVelocity",
+  "advectionSpeed",
+  "phaseRate",
+  "interferenceMode",
+  "phaseVelocity",
+];
+
+// Snapshot format version, and the first word of a binary snapshot ("WVF1").
+// Version 2 run-length encodes binary cell data; version 1 stored it dense.
+const SNAPSHOT_VERSION = 2;
+const BINARY_MAGIC = 0x57564631;
+
+// Binary snapshots store at least this many equal values in a row as a run
+const MIN_REPEAT_RUN = 3;
+const REPEAT_FLAG = 0x80000000;
+
+// Run-length encode 32-bit words into `out` from `offset`. Each run is a
+// tag word holding its length, then either one word repeated that many
+// times (tag has REPEAT_FLAG set) or that many words as they are. Returns
+// the offset after the last run. At worst this takes one word more than
+// `words` itself.
+function encodeRuns(words, out, offset) {
+  let literalStart = 0;
+  const flushLiteral = (end) => {
+    if (end > literalStart) {
+      out[offset++] = end - literalStart;
+      out.set(words.subarray(literalStart, end), offset);
+      offset += end - literalStart;
+    }
+  };
+
+  let i = 0;
+  while (i < words.length) {
+    let end = i + 1;
+    while (end < words.length && words[end] === words[i]) end++;
+
+    if (end - i >= MIN_REPEAT_RUN) {
+      flushLiteral(i);
+      out[offset++] = REPEAT_FLAG | (end - i);
+      out[offset++] = words[i];
+      literalStart = end;
+    }
+    i = end;
+  }
+  flushLiteral(words.length);
+
+  return offset;
+}
+
+// Fill `out` from encodeRuns() output starting at `offset`. Returns the
+// offset after the last run read.
+function decodeRuns(words, offset, out) {
+  let i = 0;
+  while (i < out.length) {
+    const tag = words[offset++];
+    const length = tag & ~REPEAT_FLAG;
+    if (tag & REPEAT_FLAG) {
+      out.fill(words[offset++], i, i + length);
+    } else {
+      out.set(words.subarray(offset, offset + length), i);
+      offset += length;
+    }
+    i += length;
+  }
+  return offset;
+}
+
+// 32-bit words of a Float32Array, to compare and copy values bit for bit
+function getWords(values) {
+  return new Uint32Array(values.buffer, values.byteOffset, values.length);
+}
+
+// Allocate one set of cell channels for the given number of cells and
+// layer slots, or lay them over an existing buffer of the right size
+// without clearing it
+function createCellBuffers(count, sourceLayers = 0, existingBuffer = null) {
+  const channels = getCellChannels(sourceLayers);
+  const buffer =
+    existingBuffer ||
+    new ArrayBuffer(channels.length * count * Float32Array.BYTES_PER_ELEMENT);
+  const cells = { buffer, all: new Float32Array(buffer), channels: {} };
+
+  // Only a limited number of channels become properties: with one per
+  // layer slot as well, V8 turns the object into a slow dictionary
+  channels.forEach((channel, i) => {
+    cells.channels[channel] = new Float32Array(
+      buffer,
+      i * count * Float32Array.BYTES_PER_ELEMENT,
+      count,
+    );
+    if (i < CELL_CHANNELS.length) {
+      cells[channel] = cells.channels[channel];
+    }
+  });
+  if (!existingBuffer) {
+    cells.frequency.fill(440);
+  }
+
+  // Assigned by name, as keyed stores past a dozen or so would also turn
+  // the object into a dictionary
+  const slots = (field) => {
+    const views = [];
+    for (let slot = 0; slot < sourceLayers; slot++) {
+      views.push(cells.channels[`${field}${slot}`]);
+    }
+    return views;
+  };
+  cells.sourceId = slots("sourceId");
+  cells.sourceEnergy = slots("sourceEnergy");
+  cells.sourceFrequency = slots("sourceFrequency");
+  cells.sourceR = slots("sourceR");
+  cells.sourceG = slots("sourceG");
+  cells.sourceB = slots("sourceB");
+
+  return cells;
+}
+
+// Object-shaped view of one cell, for code written against the old
+// array-of-objects grid. Scalars read and write straight through to the
+// live buffers; color and velocity come back as fresh copies, so assign
+// them as a whole to change them.
+class CellView {
+  constructor(field, index) {
+    this.field = field;
+    this.index = index;
+  }
+
+  get energy() {
+    return this.field.cells.energy[this.index];
+  }
+
+  set energy(value) {
+    this.field.cells.energy[this.index] = value;
+  }
+
+  get frequency() {
+    return this.field.cells.frequency[this.index];
+  }
+
+  set frequency(value) {
+    this.field.cells.frequency[this.index] = value;
+  }
+
+  get phase() {
+    return this.field.cells.phase[this.index];
+  }
+
+  set phase(value) {
+    this.field.cells.phase[this.index] = value;
+  }
+
+  get lastActive() {
+    return this.field.cells.lastActive[this.index];
+  }
+
+  set lastActive(value) {
+    this.field.cells.lastActive[this.index] = value;
+  }
+
+  get amplitude() {
+    return this.field.cells.amplitude[this.index];
+  }
+
+  set amplitude(value) {
+    this.field.cells.amplitude[this.index] = value;
+  }
+
+  get beatFrequency() {
+    return this.field.cells.beatFrequency[this.index];
+  }
+
+  get beatDepth() {
+    return this.field.cells.beatDepth[this.index];
+  }
+
+  // Per-source contributions, strongest first (see getCellSources)
+  get sources() {
+    return this.field.getCellSources(this.index);
+  }
+
+  get color() {
+    const { r, g, b } = this.field.cells;
+    return [r[this.index], g[this.index], b[this.index]];
+  }
+
+  set color(value) {
+    const { r, g, b } = this.field.cells;
+    r[this.index] = value[0];
+    g[this.index] = value[1];
+    b[this.index] = value[2];
+  }
+
+  get velocity() {
+    const { vx, vy } = this.field.cells;
+    return { x: vx[this.index], y: vy[this.index] };
+  }
+
+  set velocity(value) {
+    this.field.cells.vx[this.index] = value.x;
+    this.field.cells.vy[this.index] = value.y;
+  }
+}
+
 class WaveField {
-  constructor(width, height, resolution = 64) {
+  constructor(width, height, resolution = 64, options = {}) {
     this.width = width;
     this.height = height;
     this.resolution = resolution;
 
-    // Calculate cell dimensions
-    this.cellWidth = width / resolution;
-    this.cellHeight = height / resolution;
-
-    // Initialize the grid
-    this.grid = new Array(resolution * resolution).fill().map(() => ({
-      energy: 0, // Current energy level (0-1)
-      frequency: 440, // Base frequency in Hz
-      color: [0, 0, 0], // RGB color values
-      lastActive: 0, // Timestamp of last activity
-      phase: 0, // Current phase (0-2π)
-      velocity: { x: 0, y: 0 }, // Initialize velocity for all cells
+    // Per-source layer slots in each cell (see LAYER_FIELDS); 0 for none
+    this.sourceLayers = options.sourceLayers || 0;
+
+    // Material definitions; the per-cell layer is allocated with the grid
+    this.materialTypes = DEFAULT_MATERIALS.map((material) => ({
+      ...material,
     }));
+    this.materialVersion = 0; // Bumped whenever the layer changes
+    this.materialDecay = new Float32Array(256);
+    this.materialDamping = new Float32Array(256);
+    this.materialSpeed = new Float32Array(256);
+
     // Field properties
     this.decayRate = 0.98; // Energy decay per frame
-    this.propagationSpeed = 0.3; // How quickly energy propagates to neighbors
+    this.propagationSpeed = 0.3; // Cells travelled per frame (at 60fps) by field waves
+    this.maxCourant = 0.5; // Stability limit for one propagation step (2D limit is 1/√2)
     this.timeStep = 0; // Current time step
+    this.time = 0; // Seconds simulated, the clock contribution phases refer to
+    this.phaseRate = 1 / 20; // Radians of cell phase per second per Hz
+    this.interferenceMode = false; // Sum contributions as phasors
+    this.phaseVelocity = 200; // World units per second phase fronts travel
     this.maxVelocity = 5.0;
+    this.advectionSpeed = 4.0; // Cells per second moved per unit of cell velocity
+
+    // Source registry for the per-cell layers: sourceKeys[id - 1] is the
+    // key (emitter id, player id, ...) registered under that id, and
+    // sourcePlayers[id - 1] the player it belongs to, or null
+    this.sourceKeys = [];
+    this.sourcePlayers = [];
+    this.sourceIds = new Map();
+
+    // Named regions watched after every update (see defineRegion)
+    this.regions = new Map();
+
+    this.allocateGrid();
+  }
+
+  // (Re)allocate every per-cell buffer for the current width, height,
+  // resolution and layer slots. Anything the buffers held is dropped.
+  allocateGrid() {
+    // Calculate cell dimensions
+    this.cellWidth = this.width / this.resolution;
+    this.cellHeight = this.height / this.resolution;
+
+    // Initialize the grid. Passes that read neighbors write into nextCells
+    // and then swap, so every cell sees the same frame.
+    const cellCount = this.resolution * this.resolution;
+    this.cellChannels = getCellChannels(this.sourceLayers);
+    this.cells = createCellBuffers(cellCount, this.sourceLayers);
+    this.nextCells = createCellBuffers(cellCount, this.sourceLayers);
+    this.scratch = new Float32Array(cellCount);
+
+    // Candidate layers gathered from several cells while merging them
+    const mergeSize = Math.max(1, this.sourceLayers) * 8;
+    this.layerScratch = {
+      count: 0,
+      id: new Float32Array(mergeSize),
+      energy: new Float32Array(mergeSize),
+      frequency: new Float32Array(mergeSize),
+      r: new Float32Array(mergeSize),
+      g: new Float32Array(mergeSize),
+      b: new Float32Array(mergeSize),
+    };
+
+    // Material layer: a material id per cell plus a solid mask kept in sync
+    // with it, so the inner loops never have to look up definitions
+    this.materials = new Uint8Array(cellCount);
+    this.solid = new Uint8Array(cellCount);
+    this.solidCount = 0;
+    this.materialVersion++;
+  }
+
+  // Bytes needed to hold one full set of cell channels
+  get cellByteLength() {
+    return (
+      this.cellChannels.length * this.cellCount * Float32Array.BYTES_PER_ELEMENT
+    );
+  }
+
+  // Make an existing buffer (for example one shared with or transferred from
+  // a worker) the current cells. Its contents are used as they are.
+  attachCellBuffer(buffer) {
+    if (buffer.byteLength !== this.cellByteLength) {
+      throw new Error(
+        `Cell buffer is ${buffer.byteLength} bytes, expected ${this.cellByteLength}`,
+      );
+    }
+    this.cells = createCellBuffers(this.cellCount, this.sourceLayers, buffer);
+  }
+
+  // Total number of cells in the grid
+  get cellCount() {
+    return this.resolution * this.resolution;
   }
 
   // Get cell at specific grid coordinates
@@ -31,7 +418,7 @@ class WaveField {
     if (x < 0 || x >= this.resolution || y < 0 || y >= this.resolution) {
       return null;
     }
-    return this.grid[y * this.resolution + x];
+    return new CellView(this, y * this.resolution + x);
   }
 
   // Get cell at world coordinates
@@ -57,33 +444,647 @@ class WaveField {
     };
   }
 
-  // Add energy to a specific cell in the grid
-  addEnergy(gridX, gridY, amount, frequency, color) {
-    const cell = this.getCell(gridX, gridY);
-    if (!cell) return;
+  // Register a material (or replace one with the same name) and return its
+  // id. Properties not given fall back to those of open space.
+  defineMaterial(name, properties = {}) {
+    const material = { ...DEFAULT_MATERIALS[0], ...properties, name };
+    let id = this.materialTypes.findIndex((type) => type.name === name);
 
-    // Blend the new energy with existing energy
-    const currentEnergy = cell.energy;
-    const newEnergy = Math.min(1.0, currentEnergy + amount);
+    if (id === -1) {
+      if (this.materialTypes.length >= 256) {
+        throw new Error("WaveField supports at most 256 materials");
+      }
+      id = this.materialTypes.push(material) - 1;
+    } else {
+      this.materialTypes[id] = material;
+      this.refreshSolidMask();
+    }
 
-    // If we're adding significant energy, blend the frequency and color
-    if (amount > 0.05) {
-      const blendFactor = amount / (currentEnergy + amount);
+    this.materialVersion++;
+    return id;
+  }
 
-      // Blend frequency (weighted by energy)
-      cell.frequency =
-        cell.frequency * (1 - blendFactor) + frequency * blendFactor;
+  // Resolve a material name or id to an id
+  getMaterialId(material) {
+    const id =
+      typeof material === "number"
+        ? material
+        : this.materialTypes.findIndex((type) => type.name === material);
 
-      // Blend color
-      for (let i = 0; i < 3; i++) {
-        cell.color[i] = Math.round(
-          cell.color[i] * (1 - blendFactor) + color[i] * blendFactor,
-        );
+    if (!this.materialTypes[id]) {
+      throw new Error(`Unknown material: ${material}`);
+    }
+    return id;
+  }
+
+  // Get the material definition at specific grid coordinates
+  getMaterial(gridX, gridY) {
+    if (
+      gridX < 0 ||
+      gridX >= this.resolution ||
+      gridY < 0 ||
+      gridY >= this.resolution
+    ) {
+      return null;
+    }
+    return this.materialTypes[this.materials[gridY * this.resolution + gridX]];
+  }
+
+  // Set the material of a single cell. Solid cells lose whatever they held.
+  setMaterial(gridX, gridY, material) {
+    if (
+      gridX < 0 ||
+      gridX >= this.resolution ||
+      gridY < 0 ||
+      gridY >= this.resolution
+    ) {
+      return;
+    }
+
+    const i = gridY * this.resolution + gridX;
+    this.materials[i] = this.getMaterialId(material);
+    this.refreshSolidCell(i);
+    this.materialVersion++;
+  }
+
+  // Set the material of every cell whose center lies in a world rectangle
+  fillMaterialRect(worldX, worldY, width, height, material) {
+    const id = this.getMaterialId(material);
+    const start = this.worldToGrid(worldX, worldY);
+    const end = this.worldToGrid(worldX + width, worldY + height);
+
+    for (
+      let y = Math.max(0, start.y);
+      y <= Math.min(this.resolution - 1, end.y);
+      y++
+    ) {
+      for (
+        let x = Math.max(0, start.x);
+        x <= Math.min(this.resolution - 1, end.x);
+        x++
+      ) {
+        const center = this.gridToWorld(x, y);
+        if (
+          center.x >= worldX &&
+          center.x <= worldX + width &&
+          center.y >= worldY &&
+          center.y <= worldY + height
+        ) {
+          this.materials[y * this.resolution + x] = id;
+          this.refreshSolidCell(y * this.resolution + x);
+        }
+      }
+    }
+
+    this.materialVersion++;
+  }
+
+  // Build the material layer from a character mask: an array of equal-length
+  // strings stretched over the whole grid, e.g.
+  //   ["........",
+  //    "..##~~..",
+  //    "..ssss.."]
+  // The legend maps characters to material names; unknown ones are open.
+  loadMaterialMask(rows, legend = DEFAULT_MASK_LEGEND) {
+    const res = this.resolution;
+    const maskHeight = rows.length;
+    const maskWidth = maskHeight > 0 ? rows[0].length : 0;
+    const ids = {};
+
+    Object.keys(legend).forEach((char) => {
+      ids[char] = this.getMaterialId(legend[char]);
+    });
+
+    for (let y = 0; y < res; y++) {
+      for (let x = 0; x < res; x++) {
+        const row = rows[Math.floor((y * maskHeight) / res)] || "";
+        const char = row[Math.floor((x * maskWidth) / res)];
+        this.materials[y * res + x] = ids[char] || 0;
+      }
+    }
+
+    this.refreshSolidMask();
+    this.materialVersion++;
+  }
+
+  // Define a named region to watch, replacing any region of that name but
+  // keeping its listeners. See FieldRegion.js for the shapes.
+  defineRegion(name, shape) {
+    const region = new FieldRegion(name, shape);
+    if (this.regions.has(name)) {
+      region.subscriptions = this.regions.get(name).subscriptions;
+    }
+
+    this.regions.set(name, region);
+    return region;
+  }
+
+  // Stop watching a region; its listeners go with it
+  removeRegion(name) {
+    this.regions.delete(name);
+  }
+
+  // Look up a region by name
+  getRegion(name) {
+    const region = this.regions.get(name);
+    if (!region) {
+      throw new Error(`Unknown region: ${name}`);
+    }
+    return region;
+  }
+
+  // Current energy, frequency and per-source totals inside a region
+  getRegionStats(name) {
+    return this.getRegion(name).measure(this);
+  }
+
+  // Call `callback(event)` whenever `condition` starts or stops holding for
+  // a region, e.g. { type: "energy", above: 0.5 } (see FieldRegion.js).
+  // Checked at the end of every update(); event.active says which way it
+  // went. Dominance conditions need the sourceLayers option. Returns a
+  // function that removes the listener.
+  onRegion(name, condition, callback) {
+    const region = this.getRegion(name);
+    if (condition.type === "dominance" && this.sourceLayers === 0) {
+      throw new Error(
+        "Dominance conditions need a field created with the sourceLayers option",
+      );
+    }
+    const subscription = { condition, callback, active: false };
+    region.subscriptions.push(subscription);
+
+    return () => {
+      const index = region.subscriptions.indexOf(subscription);
+      if (index !== -1) {
+        region.subscriptions.splice(index, 1);
+      }
+    };
+  }
+
+  // Measure every region and fire the listeners whose conditions changed
+  evaluateRegions() {
+    this.regions.forEach((region) => region.evaluate(this));
+  }
+
+  // Reset every cell to open space
+  clearMaterials() {
+    this.materials.fill(0);
+    this.refreshSolidMask();
+    this.materialVersion++;
+  }
+
+  // Sync one cell's solid flag with its material and empty it if solid
+  refreshSolidCell(index) {
+    const solid = this.materialTypes[this.materials[index]].solid ? 1 : 0;
+    this.solidCount += solid - this.solid[index];
+    this.solid[index] = solid;
+
+    if (solid) {
+      const cells = this.cells;
+      cells.energy[index] = 0;
+      cells.vx[index] = 0;
+      cells.vy[index] = 0;
+      cells.amplitude[index] = 0;
+      cells.prevAmplitude[index] = 0;
+    }
+  }
+
+  // Rebuild the whole solid mask from the material layer
+  refreshSolidMask() {
+    for (let i = 0; i < this.cellCount; i++) {
+      this.refreshSolidCell(i);
+    }
+  }
+
+  // Cache per-material decay, damping and speed for one update. Damping is
+  // per propagation substep; speed is the squared propagation scale.
+  prepareMaterials(deltaTime, steps) {
+    this.materialTypes.forEach((material, id) => {
+      const decayRate =
+        material.decayRate === null ? this.decayRate : material.decayRate;
+      this.materialDecay[id] = Math.pow(decayRate, deltaTime * 60);
+      this.materialDamping[id] = Math.pow(decayRate, (deltaTime * 60) / steps);
+      this.materialSpeed[id] = material.propagationScale ** 2;
+    });
+  }
+
+  // Fastest propagation scale among the defined materials
+  getMaxPropagationScale() {
+    return this.materialTypes.reduce(
+      (max, material) => Math.max(max, material.propagationScale),
+      1.0,
+    );
+  }
+
+  // Whether a solid cell lies on the grid line between two cells. The end
+  // points themselves are not checked.
+  isOccluded(fromX, fromY, toX, toY) {
+    if (this.solidCount === 0 || (fromX === toX && fromY === toY)) {
+      return false;
+    }
+
+    const dx = Math.abs(toX - fromX);
+    const dy = Math.abs(toY - fromY);
+    const stepX = fromX < toX ? 1 : -1;
+    const stepY = fromY < toY ? 1 : -1;
+    let error = dx - dy;
+    let x = fromX;
+    let y = fromY;
+
+    while (true) {
+      const doubled = 2 * error;
+      if (doubled > -dy) {
+        error -= dy;
+        x += stepX;
+      }
+      if (doubled < dx) {
+        error += dx;
+        y += stepY;
+      }
+
+      if (x === toX && y === toY) return false;
+      if (
+        x >= 0 &&
+        x < this.resolution &&
+        y >= 0 &&
+        y < this.resolution &&
+        this.solid[y * this.resolution + x]
+      ) {
+        return true;
+      }
+    }
+  }
+
+  // Add energy to a specific cell in the grid. The phase only matters in
+  // interference mode and is relative to the field clock. `source` is any
+  // key for whoever produced the energy (an emitter or player id); it gets
+  // its own layer in the cell. `playerId` is the player that source
+  // belongs to, if any.
+  addEnergy(
+    gridX,
+    gridY,
+    amount,
+    frequency,
+    color,
+    phase = 0,
+    source = null,
+    playerId = null,
+  ) {
+    if (
+      gridX < 0 ||
+      gridX >= this.resolution ||
+      gridY < 0 ||
+      gridY >= this.resolution
+    ) {
+      return;
+    }
+
+    const cells = this.cells;
+    const i = gridY * this.resolution + gridX;
+    if (this.solid[i]) return;
+
+    if (this.interferenceMode) {
+      this.interfere(
+        i,
+        amount,
+        frequency,
+        color,
+        this.getClockPhase(frequency) + phase,
+      );
+    } else {
+      // Blend the new energy with existing energy
+      const currentEnergy = cells.energy[i];
+      const newEnergy = Math.min(1.0, currentEnergy + amount);
+
+      // If we're adding significant energy, blend the frequency and color
+      if (amount > 0.05) {
+        this.blendTone(i, amount / (currentEnergy + amount), frequency, color);
+      }
+
+      cells.energy[i] = newEnergy;
+      cells.lastActive[i] = this.timeStep;
+      this.exciteAmplitude(i, amount);
+    }
+
+    this.depositLayer(
+      i,
+      this.getSourceId(source, playerId),
+      amount,
+      frequency,
+      color,
+    );
+  }
+
+  // Numeric id for a source key, registering the key on first use along
+  // with the player it belongs to. Keys should survive JSON.stringify
+  // (strings, numbers or null) so snapshots can carry the registry.
+  getSourceId(source, playerId = null) {
+    let id = this.sourceIds.get(source);
+    if (id === undefined) {
+      this.sourceKeys.push(source);
+      this.sourcePlayers.push(playerId);
+      id = this.sourceKeys.length;
+      this.sourceIds.set(source, id);
+    }
+    return id;
+  }
+
+  // Replace the source registry, e.g. with one from a snapshot
+  setSourceKeys(keys, players = []) {
+    this.sourceKeys = keys.slice();
+    this.sourcePlayers = keys.map((key, i) =>
+      players[i] !== undefined ? players[i] : null,
+    );
+    this.sourceIds = new Map(keys.map((key, i) => [key, i + 1]));
+  }
+
+  // Add a contribution to one source's layer of a cell: the source's own
+  // slot if it has one, otherwise the weakest slot (empty ones have no
+  // energy), unless that slot outweighs the new contribution. The layers
+  // are then rescaled to the cell's energy.
+  depositLayer(index, sourceId, amount, frequency, color) {
+    if (this.sourceLayers === 0) return;
+
+    const cells = this.cells;
+    const ids = cells.sourceId;
+    const energies = cells.sourceEnergy;
+
+    let slot = -1;
+    let weakest = 0;
+    for (let k = 0; k < this.sourceLayers; k++) {
+      if (ids[k][index] === sourceId) {
+        slot = k;
+        break;
+      }
+      if (energies[k][index] < energies[weakest][index]) {
+        weakest = k;
+      }
+    }
+
+    if (slot < 0 && energies[weakest][index] < amount) {
+      slot = weakest;
+      ids[slot][index] = sourceId;
+      energies[slot][index] = 0;
+    }
+
+    if (slot >= 0) {
+      const energy = energies[slot][index];
+      const blendFactor = amount / (energy + amount);
+      const keep = 1 - blendFactor;
+
+      cells.sourceFrequency[slot][index] =
+        cells.sourceFrequency[slot][index] * keep + frequency * blendFactor;
+      cells.sourceR[slot][index] = Math.round(
+        cells.sourceR[slot][index] * keep + color[0] * blendFactor,
+      );
+      cells.sourceG[slot][index] = Math.round(
+        cells.sourceG[slot][index] * keep + color[1] * blendFactor,
+      );
+      cells.sourceB[slot][index] = Math.round(
+        cells.sourceB[slot][index] * keep + color[2] * blendFactor,
+      );
+      energies[slot][index] = energy + amount;
+    }
+
+    this.normalizeLayers(cells, index);
+  }
+
+  // Rescale a cell's layer energies in `cells` so they add up to its energy
+  normalizeLayers(cells, index) {
+    const energies = cells.sourceEnergy;
+
+    let total = 0;
+    for (let k = 0; k < this.sourceLayers; k++) {
+      total += energies[k][index];
+    }
+    if (total <= 0) return;
+
+    if (cells.energy[index] <= 0) {
+      this.clearLayers(cells, index);
+      return;
+    }
+
+    const scale = cells.energy[index] / total;
+    for (let k = 0; k < this.sourceLayers; k++) {
+      energies[k][index] *= scale;
+    }
+  }
+
+  // Empty every layer slot of a cell in `cells`
+  clearLayers(cells, index) {
+    for (let k = 0; k < this.sourceLayers; k++) {
+      cells.sourceId[k][index] = 0;
+      cells.sourceEnergy[k][index] = 0;
+    }
+  }
+
+  // Start merging layers from several cells (see gatherLayers)
+  beginLayerMerge() {
+    this.layerScratch.count = 0;
+  }
+
+  // Add a cell's layers from `cells`, weighted, to the merge in progress.
+  // Slots of the same source combine, their tones weighted by energy.
+  gatherLayers(cells, index, weight) {
+    const merge = this.layerScratch;
+    if (weight <= 0) return;
+
+    for (let k = 0; k < this.sourceLayers; k++) {
+      const id = cells.sourceId[k][index];
+      const energy = cells.sourceEnergy[k][index] * weight;
+      if (id === 0 || energy <= 0) continue;
+
+      let m = 0;
+      while (m < merge.count && merge.id[m] !== id) m++;
+      if (m === merge.count) {
+        if (m === merge.id.length) continue;
+        merge.id[m] = id;
+        merge.energy[m] = 0;
+        merge.frequency[m] = 0;
+        merge.r[m] = 0;
+        merge.g[m] = 0;
+        merge.b[m] = 0;
+        merge.count++;
+      }
+
+      merge.energy[m] += energy;
+      merge.frequency[m] += cells.sourceFrequency[k][index] * energy;
+      merge.r[m] += cells.sourceR[k][index] * energy;
+      merge.g[m] += cells.sourceG[k][index] * energy;
+      merge.b[m] += cells.sourceB[k][index] * energy;
+    }
+  }
+
+  // Write the strongest merged layers into `target` at `index`, rescaled to
+  // the energy already set there. Layers under 1% of the strongest are
+  // dropped rather than left to linger.
+  commitLayerMerge(target, index) {
+    const merge = this.layerScratch;
+
+    // A lone source needs no ranking: it holds all of the cell's energy
+    if (merge.count <= 1) {
+      this.clearLayers(target, index);
+      if (merge.count === 1 && target.energy[index] > 0) {
+        const energy = merge.energy[0];
+        target.sourceId[0][index] = merge.id[0];
+        target.sourceEnergy[0][index] = target.energy[index];
+        target.sourceFrequency[0][index] = merge.frequency[0] / energy;
+        target.sourceR[0][index] = Math.round(merge.r[0] / energy);
+        target.sourceG[0][index] = Math.round(merge.g[0] / energy);
+        target.sourceB[0][index] = Math.round(merge.b[0] / energy);
+      }
+      return;
+    }
+
+    let strongest = 0;
+    for (let m = 0; m < merge.count; m++) {
+      strongest = Math.max(strongest, merge.energy[m]);
+    }
+    const minimum = strongest * 0.01;
+
+    for (let k = 0; k < this.sourceLayers; k++) {
+      let best = -1;
+      for (let m = 0; m < merge.count; m++) {
+        if (
+          merge.energy[m] > minimum &&
+          (best < 0 || merge.energy[m] > merge.energy[best])
+        ) {
+          best = m;
+        }
       }
+
+      if (best < 0) {
+        target.sourceId[k][index] = 0;
+        target.sourceEnergy[k][index] = 0;
+        continue;
+      }
+
+      const energy = merge.energy[best];
+      target.sourceId[k][index] = merge.id[best];
+      target.sourceEnergy[k][index] = energy;
+      target.sourceFrequency[k][index] = merge.frequency[best] / energy;
+      target.sourceR[k][index] = Math.round(merge.r[best] / energy);
+      target.sourceG[k][index] = Math.round(merge.g[best] / energy);
+      target.sourceB[k][index] = Math.round(merge.b[best] / energy);
+      merge.energy[best] = 0;
+    }
+
+    this.normalizeLayers(target, index);
+  }
+
+  // A cell's per-source contributions, strongest first, as
+  // [{ source, energy, frequency, color }] where source is the key the
+  // energy was added with
+  getCellSources(index) {
+    const cells = this.cells;
+    const sources = [];
+
+    for (let k = 0; k < this.sourceLayers; k++) {
+      const id = cells.sourceId[k][index];
+      const energy = cells.sourceEnergy[k][index];
+      if (id === 0 || energy <= 0) continue;
+
+      sources.push({
+        source: this.sourceKeys[id - 1],
+        player: this.sourcePlayers[id - 1],
+        energy,
+        frequency: cells.sourceFrequency[k][index],
+        color: [
+          cells.sourceR[k][index],
+          cells.sourceG[k][index],
+          cells.sourceB[k][index],
+        ],
+      });
+    }
+
+    return sources.sort((a, b) => b.energy - a.energy);
+  }
+
+  // Blend a cell's frequency and color towards new values (weighted by energy)
+  blendTone(index, blendFactor, frequency, color) {
+    const cells = this.cells;
+
+    cells.frequency[index] =
+      cells.frequency[index] * (1 - blendFactor) + frequency * blendFactor;
+    cells.r[index] = Math.round(
+      cells.r[index] * (1 - blendFactor) + color[0] * blendFactor,
+    );
+    cells.g[index] = Math.round(
+      cells.g[index] * (1 - blendFactor) + color[1] * blendFactor,
+    );
+    cells.b[index] = Math.round(
+      cells.b[index] * (1 - blendFactor) + color[2] * blendFactor,
+    );
+  }
+
+  // Phase a tone of the given frequency has reached on the field clock
+  getClockPhase(frequency) {
+    return (this.time * frequency * this.phaseRate) % (Math.PI * 2);
+  }
+
+  // Add a contribution to a cell as a phasor. The cell's energy and phase
+  // become the magnitude and angle of the vector sum, so in-phase
+  // contributions reinforce and out-of-phase ones cancel. Whichever of the
+  // cell's tone and the new one is stronger stays the cell's frequency; the
+  // other is kept as its beat partner so the audio can play the beating.
+  interfere(index, amount, frequency, color, phase) {
+    const cells = this.cells;
+    const energy = cells.energy[index];
+    const cellPhase = cells.phase[index];
+
+    const re = energy * Math.cos(cellPhase) + amount * Math.cos(phase);
+    const im = energy * Math.sin(cellPhase) + amount * Math.sin(phase);
+
+    if (amount > 0.05) {
+      const cellFrequency = cells.frequency[index];
+
+      if (energy <= 0.01) {
+        cells.frequency[index] = frequency;
+        cells.beatDepth[index] = 0;
+      } else if (Math.abs(frequency - cellFrequency) > 0.5) {
+        const newIsStronger = amount > energy;
+        cells.frequency[index] = newIsStronger ? frequency : cellFrequency;
+        cells.beatFrequency[index] = newIsStronger
+          ? cellFrequency - frequency
+          : frequency - cellFrequency;
+        cells.beatDepth[index] = newIsStronger
+          ? energy / amount
+          : amount / energy;
+      }
+
+      // Color still blends by energy share
+      const blendFactor = amount / (energy + amount);
+      cells.r[index] = Math.round(
+        cells.r[index] * (1 - blendFactor) + color[0] * blendFactor,
+      );
+      cells.g[index] = Math.round(
+        cells.g[index] * (1 - blendFactor) + color[1] * blendFactor,
+      );
+      cells.b[index] = Math.round(
+        cells.b[index] * (1 - blendFactor) + color[2] * blendFactor,
+      );
     }
 
-    cell.energy = newEnergy;
-    cell.lastActive = this.timeStep;
+    cells.energy[index] = Math.min(1.0, Math.sqrt(re * re + im * im));
+    cells.phase[index] = (Math.atan2(im, re) + Math.PI * 2) % (Math.PI * 2);
+    cells.lastActive[index] = this.timeStep;
+
+    // The displacement takes the real part, so opposing pulses cancel in
+    // the propagating wave too
+    this.exciteAmplitude(index, amount * Math.cos(phase));
+  }
+
+  // Push a cell's wave displacement by the given amount. The previous
+  // displacement moves with it so the pulse starts at rest and spreads out
+  // evenly once update() propagates it.
+  exciteAmplitude(index, amount) {
+    const cells = this.cells;
+    const amplitude = Math.max(
+      -1.0,
+      Math.min(1.0, cells.amplitude[index] + amount),
+    );
+    cells.prevAmplitude[index] += amplitude - cells.amplitude[index];
+    cells.amplitude[index] = amplitude;
   }
 
   // Add a wave pulse to the field
@@ -96,9 +1097,15 @@ class WaveField {
     color,
     angle = 0,
     spreadAngle = 360,
+    sourcePhase = 0,
+    source = null,
+    playerId = null,
   ) {
     angle = ((angle % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
 
+    const cells = this.cells;
+    const sourceId = this.getSourceId(source, playerId);
+
     // Convert to grid coordinates for center
     const centerGridPos = this.worldToGrid(worldX, worldY);
 
@@ -124,12 +1131,12 @@ class WaveField {
         if (x < 0 || x >= this.resolution || y < 0 || y >= this.resolution)
           continue;
 
-        // Get world position of this cell center
-        const cellWorld = this.gridToWorld(x, y);
+        // Walls take no energy
+        if (this.solid[y * this.resolution + x]) continue;
 
         // Calculate distance from wave origin to cell center
-        const dx = cellWorld.x - worldX;
-        const dy = cellWorld.y - worldY;
+        const dx = x * this.cellWidth + this.cellWidth / 2 - worldX;
+        const dy = y * this.cellHeight + this.cellHeight / 2 - worldY;
         const distance = Math.sqrt(dx * dx + dy * dy);
 
         // Check if within radius
@@ -158,55 +1165,66 @@ class WaveField {
           }
 
           if (isInDirection) {
-            // Calculate intensity based on distance (stronger at wave front)
-            const waveThickness = radius * 0.2;
+            // Calculate intensity based on distance (stronger at wave front).
+            // The front is at least a cell thick so small pulses always land.
+            const waveThickness = Math.max(radius * 0.2, this.cellWidth);
             const distFromWaveFront = Math.abs(distance - radius);
 
-            if (distFromWaveFront < waveThickness) {
+            // Cells behind a wall sit in its shadow
+            if (
+              distFromWaveFront < waveThickness &&
+              !this.isOccluded(centerGridPos.x, centerGridPos.y, x, y)
+            ) {
               const intensityFactor = 1 - distFromWaveFront / waveThickness;
               const cellIntensity = intensity * intensityFactor;
+              const i = y * this.resolution + x;
 
-              // Get the cell directly
-              const cell = this.grid[y * this.resolution + x];
+              if (this.interferenceMode) {
+                // The source's phase on the field clock, delayed by the time
+                // the front took to travel out to this cell
+                const travelPhase =
+                  (frequency * this.phaseRate * distance) / this.phaseVelocity;
+                this.interfere(
+                  i,
+                  cellIntensity,
+                  frequency,
+                  color,
+                  this.getClockPhase(frequency) + sourcePhase - travelPhase,
+                );
+              } else {
+                // Update cell energy directly
+                const currentEnergy = cells.energy[i];
+                const newEnergy = Math.min(1.0, currentEnergy + cellIntensity);
 
-              // Update cell energy directly
-              const currentEnergy = cell.energy;
-              const newEnergy = Math.min(1.0, currentEnergy + cellIntensity);
+                // Set the other properties
+                if (cellIntensity > 0.05) {
+                  this.blendTone(
+                    i,
+                    cellIntensity / newEnergy,
+                    frequency,
+                    color,
+                  );
+                }
+
+                cells.energy[i] = newEnergy;
+                cells.lastActive[i] = this.timeStep;
+                this.exciteAmplitude(i, cellIntensity);
+              }
+
+              this.depositLayer(i, sourceId, cellIntensity, frequency, color);
 
               // Calculate directional velocity
               const vx = velocityX * cellIntensity * directionFactor;
               const vy = velocityY * cellIntensity * directionFactor;
 
-              // Blend with existing velocity (weighted by energy)
-              if (!cell.velocity) cell.velocity = { x: 0, y: 0 };
-
               // Only update velocity if this is a significant energy contribution
               if (cellIntensity > 0.1) {
-                const blendFactor = cellIntensity / (newEnergy || 1);
-                cell.velocity.x =
-                  cell.velocity.x * (1 - blendFactor) + vx * blendFactor;
-                cell.velocity.y =
-                  cell.velocity.y * (1 - blendFactor) + vy * blendFactor;
+                const blendFactor = cellIntensity / (cells.energy[i] || 1);
+                cells.vx[i] =
+                  cells.vx[i] * (1 - blendFactor) + vx * blendFactor;
+                cells.vy[i] =
+                  cells.vy[i] * (1 - blendFactor) + vy * blendFactor;
               }
-
-              // Set the other properties
-              if (cellIntensity > 0.05) {
-                const blendFactor = cellIntensity / newEnergy;
-
-                // Blend frequency (weighted by energy)
-                cell.frequency =
-                  cell.frequency * (1 - blendFactor) + frequency * blendFactor;
-
-                // Blend color
-                for (let i = 0; i < 3; i++) {
-                  cell.color[i] = Math.round(
-                    cell.color[i] * (1 - blendFactor) + color[i] * blendFactor,
-                  );
-                }
-              }
-
-              cell.energy = newEnergy;
-              cell.lastActive = this.timeStep;
             }
           }
         }
@@ -216,93 +1234,833 @@ class WaveField {
 
   update(deltaTime) {
     this.timeStep++;
+    this.time += deltaTime;
 
-    // Create a new grid with deep-copied properties
-    const newGrid = this.grid.map((cell) => ({
-      ...cell,
-      velocity: cell.velocity ? { ...cell.velocity } : { x: 0, y: 0 },
-    }));
+    const cells = this.cells;
+    const steps = this.getPropagationSteps(deltaTime);
+    this.prepareMaterials(deltaTime, steps);
 
-    for (let y = 0; y < this.resolution; y++) {
-      for (let x = 0; x < this.resolution; x++) {
-        const cellIndex = y * this.resolution + x;
-        const cell = this.grid[cellIndex];
+    // Decay runs in place: each cell only reads itself
+    for (let i = 0; i < this.cellCount; i++) {
+      if (this.solid[i]) continue;
+
+      const energy = cells.energy[i];
+      const decay = this.materialDecay[this.materials[i]];
+
+      // Update phase if there's energy
+      if (energy > 0.01) {
+        cells.phase[i] =
+          (cells.phase[i] + deltaTime * cells.frequency[i] * this.phaseRate) %
+          (Math.PI * 2);
+      }
 
-        // IMPORTANT CHANGE: Process ALL cells with velocity, not just those with energy
-        // This ensures we decay velocity even for cells that have lost their energy
+      // Calculate the new energy after decay
+      const newEnergy = energy * decay;
 
-        // Update phase if there's energy
-        if (cell.energy > 0.01) {
-          cell.phase =
-            (cell.phase + (deltaTime * cell.frequency) / 20) % (Math.PI * 2);
+      // Always process velocity, even for cells with no energy
+      if (cells.vx[i] !== 0 || cells.vy[i] !== 0) {
+        // For cells with energy, link velocity decay to energy. Cells with
+        // no energy but still having velocity get a MUCH stronger decay.
+        const velocityDecay = energy > 0.01 ? newEnergy / energy : 0.8;
+        cells.vx[i] *= velocityDecay;
+        cells.vy[i] *= velocityDecay;
+
+        // If velocity becomes very small, zero it out
+        if (Math.hypot(cells.vx[i], cells.vy[i]) < 0.01) {
+          cells.vx[i] = 0;
+          cells.vy[i] = 0;
         }
+      }
 
-        // Calculate the new energy after decay
-        const newEnergy =
-          cell.energy * Math.pow(this.decayRate, deltaTime * 60);
-        newGrid[cellIndex].energy = newEnergy;
-
-        // Always process velocity, even for cells with no energy
-        if (cell.velocity && (cell.velocity.x !== 0 || cell.velocity.y !== 0)) {
-          // For cells with energy, link velocity decay to energy
-          if (cell.energy > 0.01) {
-            const energyRatio = newEnergy / cell.energy;
-            newGrid[cellIndex].velocity.x = cell.velocity.x * energyRatio;
-            newGrid[cellIndex].velocity.y = cell.velocity.y * energyRatio;
-          } else {
-            // For cells with no energy but still having velocity,
-            // apply a MUCH stronger decay
-            newGrid[cellIndex].velocity.x = cell.velocity.x * 0.8;
-            newGrid[cellIndex].velocity.y = cell.velocity.y * 0.8;
-          }
+      // If energy is practically zero, reset it completely
+      if (newEnergy < 0.01) {
+        cells.energy[i] = 0;
+        cells.beatDepth[i] = 0;
+        if (energy > 0) {
+          this.clearLayers(cells, i);
+        }
+      } else {
+        cells.energy[i] = newEnergy;
+        for (let k = 0; k < this.sourceLayers; k++) {
+          cells.sourceEnergy[k][i] *= decay;
+        }
+      }
+    }
 
-          // If velocity becomes very small, zero it out
-          const velMagnitude = Math.sqrt(
-            newGrid[cellIndex].velocity.x * newGrid[cellIndex].velocity.x +
-              newGrid[cellIndex].velocity.y * newGrid[cellIndex].velocity.y,
-          );
+    // Carry field content along the velocity vectors
+    this.advect(deltaTime);
+
+    // Let the displacement field carry energy on to neighboring cells
+    this.propagate(deltaTime, steps);
+
+    // Let region listeners react to the new state
+    this.evaluateRegions();
+  }
+
+  // Number of propagation substeps that keeps this frame under maxCourant
+  getPropagationSteps(deltaTime) {
+    const courant =
+      this.propagationSpeed * deltaTime * 60 * this.getMaxPropagationScale();
+    return Math.max(1, Math.ceil(courant / this.maxCourant));
+  }
+
+  // Make the buffers written by the last pass the current ones
+  swapCells() {
+    [this.cells, this.nextCells] = [this.nextCells, this.cells];
+  }
 
-          if (velMagnitude < 0.01) {
-            newGrid[cellIndex].velocity.x = 0;
-            newGrid[cellIndex].velocity.y = 0;
+  // Semi-Lagrangian advection: each cell traces back along the local flow
+  // and takes the energy, frequency, color and velocity found there.
+  advect(deltaTime) {
+    const res = this.resolution;
+    const distance = this.advectionSpeed * deltaTime;
+    if (distance <= 0) return;
+
+    const cells = this.cells;
+    const next = this.nextCells;
+    next.all.set(cells.all);
+
+    for (let y = 0; y < res; y++) {
+      for (let x = 0; x < res; x++) {
+        if (this.solid[y * res + x]) continue;
+
+        // Energy-weighted velocity over the 3x3 neighborhood. Using the
+        // neighborhood rather than the cell alone lets calm cells just ahead
+        // of a moving region pull its content in.
+        let totalEnergy = 0;
+        let flowX = 0;
+        let flowY = 0;
+
+        for (
+          let ny = Math.max(0, y - 1);
+          ny <= Math.min(res - 1, y + 1);
+          ny++
+        ) {
+          for (
+            let nx = Math.max(0, x - 1);
+            nx <= Math.min(res - 1, x + 1);
+            nx++
+          ) {
+            const j = ny * res + nx;
+            const energy = cells.energy[j];
+            if (energy <= 0) continue;
+
+            totalEnergy += energy;
+            flowX += cells.vx[j] * energy;
+            flowY += cells.vy[j] * energy;
           }
         }
 
-        // If energy is practically zero, reset it completely
-        if (newGrid[cellIndex].energy < 0.01) {
-          newGrid[cellIndex].energy = 0;
+        if (totalEnergy === 0 || (flowX === 0 && flowY === 0)) continue;
+
+        flowX /= totalEnergy;
+        flowY /= totalEnergy;
+
+        const magnitude = Math.sqrt(flowX * flowX + flowY * flowY);
+        if (magnitude > this.maxVelocity) {
+          flowX *= this.maxVelocity / magnitude;
+          flowY *= this.maxVelocity / magnitude;
+        }
+
+        const i = y * res + x;
+        this.sampleCellsInto(
+          x - flowX * distance,
+          y - flowY * distance,
+          next,
+          i,
+        );
+
+        if (next.energy[i] < 0.01) {
+          next.energy[i] = 0;
+          this.clearLayers(next, i);
+        } else {
+          next.lastActive[i] = this.timeStep;
+        }
+      }
+    }
+
+    this.swapCells();
+  }
+
+  // Bilinearly sample the current cells (or another `source` buffer set of
+  // the given resolution) at fractional cell coordinates (cell centers sit
+  // on whole numbers, edges clamp) and write the result into `target` at
+  // `index`. Frequency, color and velocity are weighted by energy, matching
+  // how addEnergy blends contributions, and source layers merge by source.
+  // Where nothing carries energy the target keeps its tone and loses its
+  // velocity and layers.
+  sampleCellsInto(
+    gridX,
+    gridY,
+    target,
+    index,
+    source = this.cells,
+    res = this.resolution,
+  ) {
+    const cells = source;
+    const fx = Math.max(0, Math.min(res - 1, gridX));
+    const fy = Math.max(0, Math.min(res - 1, gridY));
+    const x0 = Math.floor(fx);
+    const y0 = Math.floor(fy);
+    const x1 = Math.min(res - 1, x0 + 1);
+    const y1 = Math.min(res - 1, y0 + 1);
+    const tx = fx - x0;
+    const ty = fy - y0;
+
+    const i00 = y0 * res + x0;
+    const i10 = y0 * res + x1;
+    const i01 = y1 * res + x0;
+    const i11 = y1 * res + x1;
+    const w00 = (1 - tx) * (1 - ty) * cells.energy[i00];
+    const w10 = tx * (1 - ty) * cells.energy[i10];
+    const w01 = (1 - tx) * ty * cells.energy[i01];
+    const w11 = tx * ty * cells.energy[i11];
+    const energy = w00 + w10 + w01 + w11;
+
+    target.energy[index] = energy;
+
+    if (energy <= 0) {
+      target.vx[index] = 0;
+      target.vy[index] = 0;
+      this.clearLayers(target, index);
+      return;
+    }
+
+    const k00 = w00 / energy;
+    const k10 = w10 / energy;
+    const k01 = w01 / energy;
+    const k11 = w11 / energy;
+
+    for (let c = 0; c < TONE_CHANNELS.length; c++) {
+      const values = cells[TONE_CHANNELS[c]];
+      target[TONE_CHANNELS[c]][index] =
+        values[i00] * k00 +
+        values[i10] * k10 +
+        values[i01] * k01 +
+        values[i11] * k11;
+    }
+
+    target.r[index] = Math.round(target.r[index]);
+    target.g[index] = Math.round(target.g[index]);
+    target.b[index] = Math.round(target.b[index]);
+
+    if (this.sourceLayers === 0) return;
+
+    this.beginLayerMerge();
+    this.gatherLayers(cells, i00, (1 - tx) * (1 - ty));
+    this.gatherLayers(cells, i10, tx * (1 - ty));
+    this.gatherLayers(cells, i01, (1 - tx) * ty);
+    this.gatherLayers(cells, i11, tx * ty);
+    this.commitLayerMerge(target, index);
+  }
+
+  // Advance the displacement field with a damped discrete wave equation
+  // (5-point Laplacian, leapfrog in time). update() splits the frame into
+  // enough substeps to keep each one under maxCourant, so large deltaTimes
+  // stay stable, and caches the per-material speed and damping first.
+  // Solid cells act like the grid edge and reflect. Displacement passing
+  // through a cell lifts its energy and drags the neighborhood's frequency
+  // and color along with it.
+  propagate(deltaTime, steps) {
+    const res = this.resolution;
+    const courant = this.propagationSpeed * deltaTime * 60; // Cells this frame
+    if (courant <= 0) return;
+
+    const c2 = (courant / steps) ** 2;
+    const solid = this.solid;
+    const materials = this.materials;
+
+    let current = this.cells.amplitude;
+    let previous = this.cells.prevAmplitude;
+
+    for (let step = 0; step < steps; step++) {
+      // Each cell reads its own previous value once, so the next step can be
+      // written over the previous buffer in place
+      for (let y = 0; y < res; y++) {
+        for (let x = 0; x < res; x++) {
+          const i = y * res + x;
+          if (solid[i]) continue;
+
+          const u = current[i];
+
+          // Neighbors beyond the edge or inside a wall mirror the cell, so
+          // both reflect
+          const left = x > 0 && !solid[i - 1] ? current[i - 1] : u;
+          const right = x < res - 1 && !solid[i + 1] ? current[i + 1] : u;
+          const up = y > 0 && !solid[i - res] ? current[i - res] : u;
+          const down = y < res - 1 && !solid[i + res] ? current[i + res] : u;
+          const laplacian = left + right + up + down - 4 * u;
+
+          // Each material sets its own wave speed (slow media refract) and
+          // damping (dampers absorb)
+          const material = materials[i];
+          previous[i] =
+            (2 * u -
+              previous[i] +
+              c2 * this.materialSpeed[material] * laplacian) *
+            this.materialDamping[material];
         }
       }
+
+      [current, previous] = [previous, current];
     }
 
-    // Update grid with new values
-    this.grid = newGrid;
+    // An odd number of steps leaves the two displacement channels swapped
+    if (current !== this.cells.amplitude) {
+      this.scratch.set(this.cells.amplitude);
+      this.cells.amplitude.set(this.cells.prevAmplitude);
+      this.cells.prevAmplitude.set(this.scratch);
+    }
+
+    // Lift cells the passing wave pushes above their current energy. Reads
+    // come from the current cells and writes go to the next ones, so the
+    // blend sees a consistent neighborhood.
+    const cells = this.cells;
+    const next = this.nextCells;
+    next.all.set(cells.all);
+
+    for (let i = 0; i < this.cellCount; i++) {
+      // Flush tiny displacements so a quiet field stays exactly quiet
+      if (
+        Math.abs(cells.amplitude[i]) < 0.0001 &&
+        Math.abs(cells.prevAmplitude[i]) < 0.0001
+      ) {
+        next.amplitude[i] = 0;
+        next.prevAmplitude[i] = 0;
+        continue;
+      }
+
+      const wave = Math.min(1.0, Math.abs(cells.amplitude[i]));
+      if (wave <= 0.01 || wave <= cells.energy[i]) continue;
+
+      this.liftCell(i, wave, next);
+    }
+
+    this.swapCells();
+  }
+
+  // Raise a cell to the given energy in `target`, blending its frequency,
+  // color and source layers towards those of itself and its 4 neighbors
+  liftCell(index, wave, target) {
+    const res = this.resolution;
+    const cells = this.cells;
+    const x = index % res;
+    const y = (index - x) / res;
+
+    let totalEnergy = 0;
+    let frequency = 0;
+    let r = 0;
+    let g = 0;
+    let b = 0;
+
+    const layered = this.sourceLayers > 0;
+    this.beginLayerMerge();
+
+    // The cell itself, then left, right, up and down where they exist
+    for (let n = 0; n < 5; n++) {
+      let j = index;
+      if (n === 1) j = x > 0 ? index - 1 : -1;
+      if (n === 2) j = x < res - 1 ? index + 1 : -1;
+      if (n === 3) j = y > 0 ? index - res : -1;
+      if (n === 4) j = y < res - 1 ? index + res : -1;
+      if (j < 0) continue;
+
+      const energy = cells.energy[j];
+      if (energy <= 0) continue;
+
+      totalEnergy += energy;
+      frequency += cells.frequency[j] * energy;
+      r += cells.r[j] * energy;
+      g += cells.g[j] * energy;
+      b += cells.b[j] * energy;
+      if (layered) this.gatherLayers(cells, j, 1);
+    }
+
+    // The neighborhood's layers now weigh totalEnergy in all. Weight the
+    // cell's own layers (which add up to its energy) so the two split the
+    // lifted energy the same way the tone blend below does.
+    if (layered) {
+      this.gatherLayers(
+        cells,
+        index,
+        totalEnergy / (wave - cells.energy[index]),
+      );
+    }
+
+    // Only blend when something nearby carries a tone
+    if (totalEnergy > 0) {
+      const blendFactor = (wave - cells.energy[index]) / wave;
+      const keep = 1 - blendFactor;
+      const mix = blendFactor / totalEnergy;
+
+      target.frequency[index] = cells.frequency[index] * keep + frequency * mix;
+      target.r[index] = Math.round(cells.r[index] * keep + r * mix);
+      target.g[index] = Math.round(cells.g[index] * keep + g * mix);
+      target.b[index] = Math.round(cells.b[index] * keep + b * mix);
+    }
+
+    target.energy[index] = wave;
+    target.lastActive[index] = this.timeStep;
+    if (layered) this.commitLayerMerge(target, index);
+  }
+
+  // Find the four cells around a world position and their bilinear weights.
+  // Cell centers are the sample points; positions outside clamp to the edge.
+  getBilinearCorners(worldX, worldY) {
+    const res = this.resolution;
+    const gx = Math.max(0, Math.min(res - 1, worldX / this.cellWidth - 0.5));
+    const gy = Math.max(0, Math.min(res - 1, worldY / this.cellHeight - 0.5));
+    const x0 = Math.floor(gx);
+    const y0 = Math.floor(gy);
+    const x1 = Math.min(res - 1, x0 + 1);
+    const y1 = Math.min(res - 1, y0 + 1);
+    const tx = gx - x0;
+    const ty = gy - y0;
+
+    return {
+      indices: [y0 * res + x0, y0 * res + x1, y1 * res + x0, y1 * res + x1],
+      weights: [(1 - tx) * (1 - ty), tx * (1 - ty), (1 - tx) * ty, tx * ty],
+      tx,
+      ty,
+    };
+  }
+
+  // Sample the field at a world position with bilinear interpolation.
+  // Energy and velocity interpolate directly; frequency, color and phase are
+  // weighted by energy so a quiet neighbor doesn't drag the tone around.
+  sample(worldX, worldY) {
+    const cells = this.cells;
+    const { indices, weights } = this.getBilinearCorners(worldX, worldY);
+
+    let energy = 0;
+    let vx = 0;
+    let vy = 0;
+    for (let k = 0; k < 4; k++) {
+      const i = indices[k];
+      energy += cells.energy[i] * weights[k];
+      vx += cells.vx[i] * weights[k];
+      vy += cells.vy[i] * weights[k];
+    }
+
+    // With no energy around, fall back to plain geometric weights
+    const toneWeights = weights.map((w, k) =>
+      energy > 0 ? (w * cells.energy[indices[k]]) / energy : w,
+    );
+
+    let frequency = 0;
+    const color = [0, 0, 0];
+    let phaseX = 0;
+    let phaseY = 0;
+    for (let k = 0; k < 4; k++) {
+      const i = indices[k];
+      const w = toneWeights[k];
+      frequency += cells.frequency[i] * w;
+      color[0] += cells.r[i] * w;
+      color[1] += cells.g[i] * w;
+      color[2] += cells.b[i] * w;
+
+      // Phase wraps, so average it as a direction
+      phaseX += Math.cos(cells.phase[i]) * w;
+      phaseY += Math.sin(cells.phase[i]) * w;
+    }
+
+    return {
+      energy,
+      frequency,
+      color,
+      phase: (Math.atan2(phaseY, phaseX) + Math.PI * 2) % (Math.PI * 2),
+      velocity: { x: vx, y: vy },
+    };
+  }
+
+  // Energy gradient at a world position, in energy per world unit. Points
+  // uphill, towards more energy; zero on a flat field.
+  gradient(worldX, worldY) {
+    const energy = this.cells.energy;
+    const { indices, tx, ty } = this.getBilinearCorners(worldX, worldY);
+    const [e00, e10, e01, e11] = indices.map((i) => energy[i]);
+
+    const x = ((1 - ty) * (e10 - e00) + ty * (e11 - e01)) / this.cellWidth;
+    const y = ((1 - tx) * (e01 - e00) + tx * (e11 - e10)) / this.cellHeight;
+    const magnitude = Math.sqrt(x * x + y * y);
+
+    return {
+      x,
+      y,
+      magnitude,
+      angle: magnitude > 0 ? Math.atan2(y, x) : 0,
+    };
+  }
+
+  // Integrate energy along a world-space segment (trapezoid rule, at least
+  // two samples per cell). The result is in energy times world units;
+  // divide by the segment length for the average energy along it.
+  lineIntegral(x1, y1, x2, y2) {
+    const length = Math.hypot(x2 - x1, y2 - y1);
+    if (length === 0) return 0;
+
+    const spacing = Math.min(this.cellWidth, this.cellHeight) / 2;
+    const steps = Math.max(1, Math.ceil(length / spacing));
+
+    let total = 0;
+    for (let step = 0; step <= steps; step++) {
+      const t = step / steps;
+      const energy = this.sample(x1 + (x2 - x1) * t, y1 + (y2 - y1) * t).energy;
+      total += step === 0 || step === steps ? energy / 2 : energy;
+    }
+
+    return (total * length) / steps;
+  }
+
+  // Call `callback(index, x, y)` for every cell above the threshold without
+  // allocating. Read cell data from `this.cells` inside the callback.
+  forEachActiveCell(threshold, callback) {
+    const res = this.resolution;
+    const energy = this.cells.energy;
+
+    for (let i = 0; i < energy.length; i++) {
+      if (energy[i] > threshold) {
+        const x = i % res;
+        callback(i, x, (i - x) / res);
+      }
+    }
   }
 
   // Get all active cells (for rendering or audio)
   getActiveCells(threshold = 0.05) {
-    return this.grid
-      .map((cell, index) => ({
-        cell,
+    const activeCells = [];
+
+    this.forEachActiveCell(threshold, (index, x, y) => {
+      activeCells.push({
+        cell: new CellView(this, index),
         index,
-        x: index % this.resolution,
-        y: Math.floor(index / this.resolution),
-        worldX: (index % this.resolution) * this.cellWidth + this.cellWidth / 2,
-        worldY:
-          Math.floor(index / this.resolution) * this.cellHeight +
-          this.cellHeight / 2,
-      }))
-      .filter((item) => item.cell.energy > threshold);
+        x,
+        y,
+        worldX: x * this.cellWidth + this.cellWidth / 2,
+        worldY: y * this.cellHeight + this.cellHeight / 2,
+      });
+    });
+
+    return activeCells;
+  }
+
+  // Change the field's world size (and optionally its resolution) in place.
+  // Content stays where it was in world space: every new cell samples the
+  // old grid at its center, and cells past the old edges start empty.
+  resize(width, height, resolution = this.resolution) {
+    const old = {
+      cells: this.cells,
+      materials: this.materials,
+      resolution: this.resolution,
+      width: this.width,
+      height: this.height,
+      cellWidth: this.cellWidth,
+      cellHeight: this.cellHeight,
+    };
+
+    this.width = width;
+    this.height = height;
+    this.resolution = resolution;
+    this.allocateGrid();
+
+    const cells = this.cells;
+    for (let y = 0; y < resolution; y++) {
+      for (let x = 0; x < resolution; x++) {
+        const worldX = x * this.cellWidth + this.cellWidth / 2;
+        const worldY = y * this.cellHeight + this.cellHeight / 2;
+        if (worldX >= old.width || worldY >= old.height) continue;
+
+        const i = y * resolution + x;
+        const oldX = worldX / old.cellWidth - 0.5;
+        const oldY = worldY / old.cellHeight - 0.5;
+        this.sampleCellsInto(oldX, oldY, cells, i, old.cells, old.resolution);
+
+        // Phase, displacement, activity and material come from the nearest
+        // old cell
+        const nearest =
+          Math.min(old.resolution - 1, Math.round(oldY)) * old.resolution +
+          Math.min(old.resolution - 1, Math.round(oldX));
+        cells.phase[i] = old.cells.phase[nearest];
+        cells.amplitude[i] = old.cells.amplitude[nearest];
+        cells.prevAmplitude[i] = old.cells.prevAmplitude[nearest];
+        cells.lastActive[i] = old.cells.lastActive[nearest];
+        this.materials[i] = old.materials[nearest];
+      }
+    }
+
+    this.refreshSolidMask();
+  }
+
+  // Plain-object snapshot of the whole field: settings, clock, materials
+  // and every cell channel. Safe to pass through JSON.stringify.
+  toJSON() {
+    const cells = {};
+    this.cellChannels.forEach((channel) => {
+      cells[channel] = Array.from(this.cells.channels[channel]);
+    });
+
+    return {
+      version: SNAPSHOT_VERSION,
+      ...this.getSnapshotHeader(),
+      materials: Array.from(this.materials),
+      cells,
+    };
+  }
+
+  // Replace this field's state with a toJSON() snapshot, in place, so
+  // renderers holding this field keep working
+  loadJSON(data) {
+    this.applySnapshotHeader(data);
+
+    this.cellChannels.forEach((channel) => {
+      if (data.cells[channel]) {
+        this.cells.channels[channel].set(data.cells[channel]);
+      }
+    });
+    this.materials.set(data.materials);
+    this.refreshSolidMask();
+  }
+
+  // Create a field from a toJSON() snapshot
+  static fromJSON(data) {
+    const field = new WaveField(data.width, data.height, data.resolution, {
+      sourceLayers: data.sourceLayers,
+    });
+    field.loadJSON(data);
+    return field;
+  }
+
+  // Compact binary snapshot: a magic number, a length-prefixed JSON header,
+  // then each Float32 cell channel and the material layer, run-length
+  // encoded (see encodeRuns). Empty space and untouched channels shrink to
+  // a few words, so a sparse field is far smaller than its JSON.
+  toBinary() {
+    const header = new TextEncoder().encode(
+      JSON.stringify({
+        version: SNAPSHOT_VERSION,
+        ...this.getSnapshotHeader(),
+        channels: this.cellChannels,
+      }),
+    );
+
+    // Room for the worst case, where nothing repeats
+    const cellCount = this.cellCount;
+    const runs = new Uint32Array(
+      (this.cellChannels.length + 1) * (cellCount + 1),
+    );
+    let length = 0;
+    this.cellChannels.forEach((channel) => {
+      length = encodeRuns(getWords(this.cells.channels[channel]), runs, length);
+    });
+    length = encodeRuns(Uint32Array.from(this.materials), runs, length);
+
+    // Pad the header so the run data stays 4-byte aligned
+    const headerBytes = Math.ceil(header.length / 4) * 4;
+    const buffer = new ArrayBuffer(
+      8 + headerBytes + length * Uint32Array.BYTES_PER_ELEMENT,
+    );
+
+    const view = new DataView(buffer);
+    view.setUint32(0, BINARY_MAGIC);
+    view.setUint32(4, header.length);
+    new Uint8Array(buffer, 8, header.length).set(header);
+    new Uint32Array(buffer, 8 + headerBytes, length).set(
+      runs.subarray(0, length),
+    );
+
+    return buffer;
+  }
+
+  // Replace this field's state with a toBinary() snapshot, in place
+  loadBinary(buffer) {
+    const view = new DataView(buffer);
+    if (view.getUint32(0) !== BINARY_MAGIC) {
+      throw new Error("Not a WaveField binary snapshot");
+    }
+
+    const headerLength = view.getUint32(4);
+    const header = JSON.parse(
+      new TextDecoder().decode(new Uint8Array(buffer, 8, headerLength)),
+    );
+    this.applySnapshotHeader(header);
+
+    // Channels are stored in the header's order; match them up by name
+    const cellCount = this.cellCount;
+    const dataOffset = 8 + Math.ceil(headerLength / 4) * 4;
+    if (header.version >= 2) {
+      const runs = new Uint32Array(
+        buffer,
+        dataOffset,
+        (buffer.byteLength - dataOffset) / Uint32Array.BYTES_PER_ELEMENT,
+      );
+      const unused = new Uint32Array(cellCount);
+      let offset = 0;
+      header.channels.forEach((channel) => {
+        const values = this.cells.channels[channel];
+        offset = decodeRuns(runs, offset, values ? getWords(values) : unused);
+      });
+
+      const materials = new Uint32Array(cellCount);
+      decodeRuns(runs, offset, materials);
+      this.materials.set(materials);
+      this.refreshSolidMask();
+      return;
+    }
+
+    // Version 1 snapshots hold every channel dense
+    header.channels.forEach((channel, i) => {
+      if (this.cells.channels[channel]) {
+        this.cells.channels[channel].set(
+          new Float32Array(
+            buffer,
+            dataOffset + i * cellCount * Float32Array.BYTES_PER_ELEMENT,
+            cellCount,
+          ),
+        );
+      }
+    });
+
+    this.materials.set(
+      new Uint8Array(
+        buffer,
+        dataOffset +
+          header.channels.length * cellCount * Float32Array.BYTES_PER_ELEMENT,
+        cellCount,
+      ),
+    );
+    this.refreshSolidMask();
+  }
+
+  // Create a field from a toBinary() snapshot
+  static fromBinary(buffer) {
+    const field = new WaveField(1, 1, 1);
+    field.loadBinary(buffer);
+    return field;
+  }
+
+  // Everything in a snapshot apart from the per-cell data
+  getSnapshotHeader() {
+    const settings = {};
+    SNAPSHOT_SETTINGS.forEach((key) => {
+      settings[key] = this[key];
+    });
+
+    return {
+      width: this.width,
+      height: this.height,
+      resolution: this.resolution,
+      sourceLayers: this.sourceLayers,
+      timeStep: this.timeStep,
+      time: this.time,
+      settings,
+      materialTypes: this.materialTypes,
+      sources: this.sourceKeys,
+      sourcePlayers: this.sourcePlayers,
+    };
+  }
+
+  // Apply a snapshot header, reallocating the grid if its geometry differs
+  applySnapshotHeader(header) {
+    if (header.version > SNAPSHOT_VERSION) {
+      throw new Error(
+        `WaveField snapshot version ${header.version} is newer than supported`,
+      );
+    }
+
+    const sourceLayers = header.sourceLayers || 0;
+    if (
+      header.width !== this.width ||
+      header.height !== this.height ||
+      header.resolution !== this.resolution ||
+      sourceLayers !== this.sourceLayers
+    ) {
+      this.width = header.width;
+      this.height = header.height;
+      this.resolution = header.resolution;
+      this.sourceLayers = sourceLayers;
+      this.allocateGrid();
+    } else {
+      this.cells.all.fill(0);
+      this.cells.frequency.fill(440);
+    }
+
+    Object.assign(this, header.settings);
+    this.timeStep = header.timeStep;
+    this.time = header.time;
+    this.materialTypes = header.materialTypes.map((material) => ({
+      ...material,
+    }));
+    this.materialVersion++;
+    this.setSourceKeys(header.sources || [], header.sourcePlayers);
+  }
+
+  // Compare two fields of the same resolution cell by cell. Returns one
+  // entry per differing cell, listing each channel that moved by more than
+  // the tolerance as { from, to }.
+  static diff(a, b, tolerance = 0) {
+    if (a.resolution !== b.resolution) {
+      throw new Error(
+        `Cannot diff fields of resolution ${a.resolution} and ${b.resolution}`,
+      );
+    }
+
+    // Layer channels only one of the two fields has are left out
+    const channels = a.cellChannels.filter(
+      (channel) => b.cells.channels[channel],
+    );
+
+    const differences = [];
+    for (let i = 0; i < a.cellCount; i++) {
+      const changes = {};
+      let changed = false;
+
+      channels.forEach((channel) => {
+        const from = a.cells.channels[channel][i];
+        const to = b.cells.channels[channel][i];
+        if (Math.abs(from - to) > tolerance) {
+          changes[channel] = { from, to };
+          changed = true;
+        }
+      });
+
+      if (a.materials[i] !== b.materials[i]) {
+        changes.material = {
+          from: a.materialTypes[a.materials[i]].name,
+          to: b.materialTypes[b.materials[i]].name,
+        };
+        changed = true;
+      }
+
+      if (changed) {
+        const x = i % a.resolution;
+        differences.push({
+          index: i,
+          x,
+          y: (i - x) / a.resolution,
+          changes,
+        });
+      }
+    }
+
+    return differences;
   }
 
   // Clear the wave field
   clear() {
-    this.grid.forEach((cell) => {
-      cell.energy = 0;
-      cell.frequency = 440;
-      cell.color = [0, 0, 0];
-      cell.phase = 0;
-    });
+    const cells = this.cells;
+    cells.energy.fill(0);
+    cells.frequency.fill(440);
+    cells.r.fill(0);
+    cells.g.fill(0);
+    cells.b.fill(0);
+    cells.phase.fill(0);
+    cells.beatDepth.fill(0);
+    cells.amplitude.fill(0);
+    cells.prevAmplitude.fill(0);
+    for (let k = 0; k < this.sourceLayers; k++) {
+      cells.sourceId[k].fill(0);
+      cells.sourceEnergy[k].fill(0);
+    }
   }
 }
 
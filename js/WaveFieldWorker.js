@@ -0,0 +1,97 @@
+// WaveFieldWorker.js - Runs a WaveField simulation off the main thread
+
+import WaveField from "./WaveField.js";
+
+let field = null;
+
+// Float32Array over the main thread's SharedArrayBuffer, when it sent one
+let sharedCells = null;
+
+// Buffers the main thread handed back after a transfer, ready for reuse
+let spareBuffers = [];
+
+// Longest single update the worker runs. Time saved up while it was busy
+// is stepped through in pieces no longer than this, the frame length Game
+// caps the main thread's updates at.
+const MAX_UPDATE_TIME = 0.1;
+
+// The source registry as last sent, so it is only resent when it changes
+let publishedSources = null;
+let publishedSourceCount = 0;
+
+// Send the current cells to the main thread's mirror
+function publish(fromUpdate = false) {
+  const frame = {
+    type: "frame",
+    fromUpdate,
+    timeStep: field.timeStep,
+    time: field.time,
+    resolution: field.resolution,
+  };
+
+  if (
+    field.sourceKeys !== publishedSources ||
+    field.sourceKeys.length !== publishedSourceCount
+  ) {
+    frame.sources = field.sourceKeys;
+    frame.sourcePlayers = field.sourcePlayers;
+    publishedSources = field.sourceKeys;
+    publishedSourceCount = field.sourceKeys.length;
+  }
+
+  if (sharedCells) {
+    sharedCells.set(field.cells.all);
+    self.postMessage(frame);
+    return;
+  }
+
+  let buffer = spareBuffers.pop();
+  if (!buffer || buffer.byteLength !== field.cellByteLength) {
+    buffer = new ArrayBuffer(field.cellByteLength);
+  }
+  new Float32Array(buffer).set(field.cells.all);
+
+  self.postMessage({ ...frame, buffer }, [buffer]);
+}
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case "init":
+      field = new WaveField(data.width, data.height, data.resolution, {
+        sourceLayers: data.sourceLayers,
+      });
+      Object.assign(field, data.settings);
+      break;
+
+    case "attach":
+      // A new shared buffer (or none, to fall back to transfers)
+      sharedCells = data.buffer ? new Float32Array(data.buffer) : null;
+      spareBuffers = [];
+      publish();
+      break;
+
+    case "recycle":
+      spareBuffers.push(data.buffer);
+      break;
+
+    case "update": {
+      Object.assign(field, data.settings);
+      const pieces = Math.max(
+        1,
+        Math.ceil(data.deltaTime / MAX_UPDATE_TIME - 1e-9),
+      );
+      for (let i = 0; i < pieces; i++) {
+        field.update(data.deltaTime / pieces);
+      }
+      publish(true);
+      break;
+    }
+
+    case "call":
+      field[data.method](...data.args);
+      if (data.publish) {
+        publish();
+      }
+      break;
+  }
+};
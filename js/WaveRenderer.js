@@ -10,6 +10,12 @@ class WaveRenderer {
     this.showGrid = false; // Set to true for debugging
     this.waveLineWidth = 8; // Increased from your 14 setting
     this.waveOpacityFactor = 0.8; // Maximum opacity
+    this.showMaterials = true;
+
+    // Offscreen copy of the field's material layer, redrawn only when the
+    // field's materialVersion changes
+    this.materialLayer = null;
+    this.materialLayerVersion = -1;
 
     // Collection of active traveling waves
     this.travelingWaves = [];
@@ -43,6 +49,11 @@ class WaveRenderer {
     // Clear canvas
     this.ctx.clearRect(0, 0, width, height);
 
+    // Render walls and other materials underneath everything else
+    if (this.showMaterials) {
+      this.renderMaterials();
+    }
+
     // Render grid if enabled
     if (this.showGrid) {
       this.renderGrid();
@@ -59,25 +70,62 @@ class WaveRenderer {
 
   // Render the wave field grid (energy levels) - mostly for debugging
   renderGrid() {
-    const { resolution, cellWidth, cellHeight } = this.waveField;
-
-    for (let y = 0; y < resolution; y++) {
-      for (let x = 0; x < resolution; x++) {
-        const cellX = x * cellWidth;
-        const cellY = y * cellHeight;
-
-        const cell = this.waveField.getCell(x, y);
-        if (cell.energy > 0.01) {
-          // Draw cell background with color and opacity based on energy
-          this.ctx.fillStyle = `rgba(${cell.color[0]}, ${cell.color[1]}, ${cell.color[2]}, ${cell.energy * 0.3})`;
-          this.ctx.fillRect(cellX, cellY, cellWidth, cellHeight);
-
-          // Draw cell border
-          this.ctx.strokeStyle = "rgba(255, 255, 255, 0.2)";
-          this.ctx.strokeRect(cellX, cellY, cellWidth, cellHeight);
+    const { cellWidth, cellHeight, cells } = this.waveField;
+
+    this.waveField.forEachActiveCell(0.01, (i, x, y) => {
+      const cellX = x * cellWidth;
+      const cellY = y * cellHeight;
+
+      // Draw cell background with color and opacity based on energy
+      this.ctx.fillStyle = `rgba(${cells.r[i]}, ${cells.g[i]}, ${cells.b[i]}, ${cells.energy[i] * 0.3})`;
+      this.ctx.fillRect(cellX, cellY, cellWidth, cellHeight);
+
+      // Draw cell border
+      this.ctx.strokeStyle = "rgba(255, 255, 255, 0.2)";
+      this.ctx.strokeRect(cellX, cellY, cellWidth, cellHeight);
+    });
+  }
+
+  // Render the field's material layer (walls, dampers, slow media)
+  renderMaterials() {
+    const field = this.waveField;
+    const { width, height } = this.canvas;
+
+    if (
+      !this.materialLayer ||
+      this.materialLayerVersion !== field.materialVersion ||
+      this.materialLayer.width !== width ||
+      this.materialLayer.height !== height
+    ) {
+      this.materialLayer =
+        this.materialLayer || document.createElement("canvas");
+      this.materialLayer.width = width;
+      this.materialLayer.height = height;
+
+      const layerCtx = this.materialLayer.getContext("2d");
+      const { resolution, cellWidth, cellHeight, materials, materialTypes } =
+        field;
+
+      layerCtx.clearRect(0, 0, width, height);
+      for (let y = 0; y < resolution; y++) {
+        for (let x = 0; x < resolution; x++) {
+          const { color, solid } = materialTypes[materials[y * resolution + x]];
+          if (!color) continue;
+
+          layerCtx.fillStyle = `rgba(${color[0]}, ${color[1]}, ${color[2]}, ${solid ? 1 : 0.6})`;
+          layerCtx.fillRect(
+            x * cellWidth,
+            y * cellHeight,
+            cellWidth,
+            cellHeight,
+          );
         }
       }
+
+      this.materialLayerVersion = field.materialVersion;
     }
+
+    this.ctx.drawImage(this.materialLayer, 0, 0);
   }
 
   // Render the wave field as a visualization of energy
@@ -95,7 +143,7 @@ class WaveRenderer {
 
     // Render active cells as glowing circles/squares
     activeCells.forEach((item) => {
-      const { cell, worldX, worldY } = item;
+      const { cell, x, y, worldX, worldY } = item;
       const energy = cell.energy;
 
       if (energy <= 0.05) return;
@@ -103,14 +151,6 @@ class WaveRenderer {
       // Draw a glow/plasma effect
       const glowRadius =
         Math.max(cellWidth, cellHeight) * (0.5 + energy * 0.25);
-      const gradient = this.ctx.createRadialGradient(
-        worldX,
-        worldY,
-        0,
-        worldX,
-        worldY,
-        glowRadius,
-      );
 
       // Determine color brightness based on energy
       const brightness = energy * 255;
@@ -118,22 +158,29 @@ class WaveRenderer {
       const g = Math.min(255, cell.color[1] + brightness * 0.5);
       const b = Math.min(255, cell.color[2] + brightness * 0.5);
 
-      // Create gradient for a plasma-like effect
-      gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, ${energy ** 2 * 0.25})`);
-      gradient.addColorStop(
-        0.7,
-        `rgba(${cell.color[0]}, ${cell.color[1]}, ${cell.color[2]}, ${energy ** 2 * 0.5})`,
-      );
-      gradient.addColorStop(
-        1,
-        `rgba(${cell.color[0]}, ${cell.color[1]}, ${cell.color[2]}, 0)`,
-      );
-
-      // Draw circular glow
-      this.ctx.fillStyle = gradient;
-      this.ctx.beginPath();
-      this.ctx.arc(worldX, worldY, glowRadius, 0, Math.PI * 2);
-      this.ctx.fill();
+      // Where several sources share a cell, each gets a wedge of the glow
+      // in its own color, sized by its share of the energy. Neighboring
+      // cells start their wedges half a turn apart so the colors interleave
+      // instead of averaging out.
+      const sources = cell.sources;
+      if (sources.length > 1) {
+        let startAngle = (x + y) % 2 === 0 ? 0 : Math.PI;
+        sources.forEach((source) => {
+          const sweep = (source.energy / energy) * Math.PI * 2;
+          this.drawGlow(
+            worldX,
+            worldY,
+            glowRadius,
+            source.color,
+            energy,
+            startAngle,
+            startAngle + sweep,
+          );
+          startAngle += sweep;
+        });
+      } else {
+        this.drawGlow(worldX, worldY, glowRadius, cell.color, energy);
+      }
 
       // Add a subtle phase-based pulse
       const pulseSize = 2 + Math.sin(cell.phase) * 2;
@@ -209,50 +256,89 @@ class WaveRenderer {
     }
   }
 
+  // Draw a plasma-like radial glow in the given color, optionally only the
+  // wedge between two angles
+  drawGlow(
+    worldX,
+    worldY,
+    glowRadius,
+    color,
+    energy,
+    startAngle = 0,
+    endAngle = Math.PI * 2,
+  ) {
+    const gradient = this.ctx.createRadialGradient(
+      worldX,
+      worldY,
+      0,
+      worldX,
+      worldY,
+      glowRadius,
+    );
+
+    // Brighter towards the center
+    const brightness = energy * 255;
+    const r = Math.min(255, color[0] + brightness * 0.5);
+    const g = Math.min(255, color[1] + brightness * 0.5);
+    const b = Math.min(255, color[2] + brightness * 0.5);
+
+    // Create gradient for a plasma-like effect
+    gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, ${energy ** 2 * 0.25})`);
+    gradient.addColorStop(
+      0.7,
+      `rgba(${color[0]}, ${color[1]}, ${color[2]}, ${energy ** 2 * 0.5})`,
+    );
+    gradient.addColorStop(1, `rgba(${color[0]}, ${color[1]}, ${color[2]}, 0)`);
+
+    this.ctx.fillStyle = gradient;
+    this.ctx.beginPath();
+    if (endAngle - startAngle < Math.PI * 2) {
+      this.ctx.moveTo(worldX, worldY);
+    }
+    this.ctx.arc(worldX, worldY, glowRadius, startAngle, endAngle);
+    this.ctx.fill();
+  }
+
   renderVelocityField() {
     this.ctx.lineWidth = 1;
 
-    for (let y = 0; y < this.waveField.resolution; y++) {
-      for (let x = 0; x < this.waveField.resolution; x++) {
-        const cell = this.waveField.getCell(x, y);
+    const { cells } = this.waveField;
 
-        if (cell.energy > 0.05 && cell.velocity) {
-          const { x: worldX, y: worldY } = this.waveField.gridToWorld(x, y);
+    this.waveField.forEachActiveCell(0.05, (i, x, y) => {
+      const { x: worldX, y: worldY } = this.waveField.gridToWorld(x, y);
+      const vx = cells.vx[i];
+      const vy = cells.vy[i];
+      const energy = cells.energy[i];
 
-          // Use a fixed scale that shows the actual vector length
-          const velocityScale = 40;
-          const dx = cell.velocity.x * velocityScale;
-          const dy = cell.velocity.y * velocityScale;
+      // Use a fixed scale that shows the actual vector length
+      const velocityScale = 40;
+      const dx = vx * velocityScale;
+      const dy = vy * velocityScale;
 
-          const velocityMagnitude = Math.sqrt(
-            cell.velocity.x * cell.velocity.x +
-              cell.velocity.y * cell.velocity.y,
-          );
+      const velocityMagnitude = Math.sqrt(vx * vx + vy * vy);
 
-          // Only render if there's enough velocity
-          if (velocityMagnitude > 0.01) {
-            // Color based on magnitude - redder = stronger velocity
-            const normalizedMag = Math.min(1.0, velocityMagnitude / 3.0); // 3.0 is a reasonable max
-            const r = Math.floor(100 + 155 * normalizedMag);
-            const g = Math.floor(255 * (1 - normalizedMag));
-            const b = Math.floor(150 * (1 - normalizedMag / 2));
-
-            // Draw velocity vector
-            this.ctx.beginPath();
-            this.ctx.moveTo(worldX, worldY);
-            this.ctx.lineTo(worldX + dx, worldY + dy);
-            this.ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, ${cell.energy * 0.8 + 0.2})`;
-            this.ctx.stroke();
-
-            // Draw larger arrow head
-            this.ctx.beginPath();
-            this.ctx.arc(worldX + dx, worldY + dy, 3, 0, Math.PI * 2);
-            this.ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${cell.energy * 0.8 + 0.2})`;
-            this.ctx.fill();
-          }
-        }
+      // Only render if there's enough velocity
+      if (velocityMagnitude > 0.01) {
+        // Color based on magnitude - redder = stronger velocity
+        const normalizedMag = Math.min(1.0, velocityMagnitude / 3.0); // 3.0 is a reasonable max
+        const r = Math.floor(100 + 155 * normalizedMag);
+        const g = Math.floor(255 * (1 - normalizedMag));
+        const b = Math.floor(150 * (1 - normalizedMag / 2));
+
+        // Draw velocity vector
+        this.ctx.beginPath();
+        this.ctx.moveTo(worldX, worldY);
+        this.ctx.lineTo(worldX + dx, worldY + dy);
+        this.ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, ${energy * 0.8 + 0.2})`;
+        this.ctx.stroke();
+
+        // Draw larger arrow head
+        this.ctx.beginPath();
+        this.ctx.arc(worldX + dx, worldY + dy, 3, 0, Math.PI * 2);
+        this.ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${energy * 0.8 + 0.2})`;
+        this.ctx.fill();
       }
-    }
+    });
   }
 
   // Get average color from a set of color arrays
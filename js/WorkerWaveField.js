@@ -0,0 +1,200 @@
+// WorkerWaveField.js - WaveField whose simulation runs in a Web Worker
+
+import WaveField from "./WaveField.js";
+
+// Shared memory needs a cross-origin isolated page (see vite.config.js)
+function canShareMemory() {
+  return (
+    typeof SharedArrayBuffer !== "undefined" &&
+    globalThis.crossOriginIsolated === true
+  );
+}
+
+// Drop-in replacement for WaveField. update(), addWavePulse() and the other
+// mutators are posted to a worker that owns the real simulation; this
+// instance is a read-only mirror of its cells, so getCell, sample,
+// getActiveCells and friends work unchanged for the renderers.
+//
+// The mirror is either a SharedArrayBuffer the worker copies into after
+// every step, or a buffer the worker transfers over and gets back for reuse.
+// Either way it trails the worker by up to a frame: a pulse added now shows
+// up after the next update. Material and geometry changes are applied to the
+// mirror immediately as well, so renderers can draw them straight away.
+// Regions are defined on the mirror only and fire as frames arrive.
+class WorkerWaveField extends WaveField {
+  constructor(width, height, resolution = 64, options = {}) {
+    super(width, height, resolution, options);
+
+    this.shared =
+      options.shared !== undefined
+        ? options.shared && canShareMemory()
+        : canShareMemory();
+
+    // Steps posted but not yet published back, and time saved up meanwhile
+    this.updatesInFlight = 0;
+    this.queuedDeltaTime = 0;
+
+    this.worker =
+      options.worker ||
+      new Worker(new URL("./WaveFieldWorker.js", import.meta.url), {
+        type: "module",
+      });
+    this.worker.onmessage = ({ data }) => this.handleWorkerMessage(data);
+
+    this.worker.postMessage({
+      type: "init",
+      width,
+      height,
+      resolution,
+      sourceLayers: this.sourceLayers,
+      settings: this.getSnapshotHeader().settings,
+    });
+    this.attachWorkerBuffer();
+  }
+
+  // Give the worker somewhere to publish to: a fresh shared buffer holding
+  // the mirror's current cells, or nothing to have frames transferred
+  attachWorkerBuffer() {
+    let buffer = null;
+
+    if (this.shared) {
+      buffer = new SharedArrayBuffer(this.cellByteLength);
+      new Float32Array(buffer).set(this.cells.all);
+      this.attachCellBuffer(buffer);
+    }
+
+    this.worker.postMessage({ type: "attach", buffer });
+  }
+
+  // Pick up a frame the worker published
+  handleWorkerMessage(message) {
+    if (message.type !== "frame") return;
+
+    if (message.fromUpdate) {
+      this.updatesInFlight--;
+    }
+
+    // Source keys are registered in the worker as energy comes in
+    if (message.sources) {
+      this.setSourceKeys(message.sources, message.sourcePlayers);
+    }
+
+    // Frames from before a local resize or load no longer fit the mirror
+    if (
+      message.resolution !== this.resolution ||
+      (message.buffer && message.buffer.byteLength !== this.cellByteLength)
+    ) {
+      return;
+    }
+
+    this.timeStep = message.timeStep;
+    this.time = message.time;
+
+    if (message.buffer) {
+      const previous = this.cells.buffer;
+      this.attachCellBuffer(message.buffer);
+      this.worker.postMessage({ type: "recycle", buffer: previous }, [
+        previous,
+      ]);
+    }
+
+    // Regions and their listeners live here, not in the worker, so they
+    // are checked against each stepped frame as it arrives
+    if (message.fromUpdate) {
+      this.evaluateRegions();
+    }
+  }
+
+  // Run a method on the worker's field
+  callWorker(method, args, publish = false) {
+    this.worker.postMessage({ type: "call", method, args, publish });
+  }
+
+  // Step the simulation in the worker. While a step is still running,
+  // frame time is saved up and sent with the next one instead of queueing;
+  // all of it is sent, so the worker simulates as much time as a WaveField
+  // updated with the same frames would.
+  update(deltaTime) {
+    this.queuedDeltaTime += deltaTime;
+    if (this.updatesInFlight > 0) return;
+
+    this.updatesInFlight++;
+    this.worker.postMessage({
+      type: "update",
+      deltaTime: this.queuedDeltaTime,
+      settings: this.getSnapshotHeader().settings,
+    });
+    this.queuedDeltaTime = 0;
+  }
+
+  addWavePulse(...args) {
+    this.callWorker("addWavePulse", args);
+  }
+
+  addEnergy(...args) {
+    this.callWorker("addEnergy", args);
+  }
+
+  clear() {
+    this.callWorker("clear", [], true);
+  }
+
+  // Calls that can change the number of cells don't publish: the old
+  // buffer may no longer fit. The worker publishes once the new one is
+  // attached.
+  resize(width, height, resolution = this.resolution) {
+    super.resize(width, height, resolution);
+    this.callWorker("resize", [width, height, resolution]);
+    this.attachWorkerBuffer();
+  }
+
+  loadJSON(data) {
+    super.loadJSON(data);
+    this.callWorker("loadJSON", [data]);
+    this.attachWorkerBuffer();
+  }
+
+  loadBinary(buffer) {
+    super.loadBinary(buffer);
+    this.callWorker("loadBinary", [buffer]);
+    this.attachWorkerBuffer();
+  }
+
+  defineMaterial(name, properties = {}) {
+    this.callWorker("defineMaterial", [name, properties]);
+    return super.defineMaterial(name, properties);
+  }
+
+  setMaterial(gridX, gridY, material) {
+    super.setMaterial(gridX, gridY, material);
+    this.callWorker("setMaterial", [gridX, gridY, material]);
+  }
+
+  fillMaterialRect(worldX, worldY, width, height, material) {
+    super.fillMaterialRect(worldX, worldY, width, height, material);
+    this.callWorker("fillMaterialRect", [
+      worldX,
+      worldY,
+      width,
+      height,
+      material,
+    ]);
+  }
+
+  loadMaterialMask(rows, legend) {
+    super.loadMaterialMask(rows, legend);
+    this.callWorker("loadMaterialMask", legend ? [rows, legend] : [rows]);
+  }
+
+  clearMaterials() {
+    super.clearMaterials();
+    this.callWorker("clearMaterials", []);
+  }
+
+  // Stop the worker. The mirror keeps its last frame.
+  dispose() {
+    this.worker.terminate();
+  }
+}
+
+export default WorkerWaveField;
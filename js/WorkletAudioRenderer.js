@@ -0,0 +1,170 @@
+// WorkletAudioRenderer.js - AudioRenderer that plays the whole field as an additive synth
+
+import AudioRenderer from "./AudioRenderer.js";
+
+// Layout of a frame of partials; keep in step with AdditiveSynthWorklet.js
+const PARTIAL_STRIDE = 6; // id, frequency, amplitude, pan, phase, shape
+const SHAPES = ["sine", "triangle", "sawtooth", "square"];
+
+// Drop-in replacement for AudioRenderer. Rather than a pool of maxVoices
+// oscillators, every active cell (each source layer within it, as with
+// clusterCells off) is one partial of an additive synth in an audio
+// worklet, so a busy field is heard in full: up to maxPartials, loudest
+// first. Neighboring cells at nearby pitches beat against each other
+// by themselves.
+//
+// Each update() posts the partials' frequency, level, pan and starting
+// phase to the worklet, which glides to them sample by sample. Partials
+// are mixed straight to stereo rather than through a panner each, so pan
+// and distance falloff are worked out here from the listener's position
+// and facing, with the panner settings voices would use. One-shots, the
+// transport and the listener are as in AudioRenderer. The worklet module
+// loads asynchronously; until it has, the field is silent.
+class WorkletAudioRenderer extends AudioRenderer {
+  constructor(waveField, options = {}) {
+    super(waveField, options);
+
+    this.maxPartials = options.maxPartials || 256;
+    this.partialGain = options.partialGain || 0.05; // Level of a full-energy cell
+    this.smoothingTime = options.smoothingTime || 0.02; // Seconds to glide to each frame
+
+    // Ids the worklet knows each note's partial by, from the last frame
+    this.partialIds = new Map();
+    this.nextPartialId = 1;
+
+    // Frame buffers the worklet handed back after a transfer
+    this.spareBuffers = [];
+
+    this.synth = null;
+    this.disposed = false;
+    this.ready = this.audioContext.audioWorklet
+      .addModule(new URL("./AdditiveSynthWorklet.js", import.meta.url))
+      .then(() => {
+        if (this.disposed) return;
+
+        this.synth = new AudioWorkletNode(this.audioContext, "additive-synth", {
+          numberOfInputs: 0,
+          numberOfOutputs: 1,
+          outputChannelCount: [2],
+          processorOptions: { smoothingTime: this.smoothingTime },
+        });
+        this.synth.port.onmessage = ({ data }) => {
+          if (data.type === "recycle") {
+            this.spareBuffers.push(data.buffer);
+          }
+        };
+        this.synth.connect(this.masterGain);
+      });
+  }
+
+  // The worklet takes the place of the oscillator pool
+  initializeVoices() {}
+
+  // Send the worklet this frame's partials (or grains in granular mode)
+  update() {
+    const currentTime = this.audioContext.currentTime;
+    this.updateListener(currentTime, currentTime + 0.05); // One-shots still use panners
+
+    if (this.mode === "granular") {
+      this.updateGrains(currentTime);
+    }
+    if (!this.synth) return;
+
+    // In granular mode the partials fade out and grains take over
+    const notes =
+      this.mode === "voices"
+        ? this.collectCellNotes(this.waveField.getActiveCells(0.05))
+            .sort((a, b) => b.tone.energy - a.tone.energy)
+            .slice(0, this.maxPartials)
+        : [];
+
+    let buffer = this.spareBuffers.pop();
+    if (!buffer) {
+      buffer = new ArrayBuffer(
+        this.maxPartials * PARTIAL_STRIDE * Float64Array.BYTES_PER_ELEMENT,
+      );
+    }
+    const values = new Float64Array(buffer);
+
+    const maxDistance = this.getVoiceMaxDistance();
+    const { x: listenerX, y: listenerY } = this.listenerPosition;
+    // The listener's right, on screen
+    const rightX = -Math.sin(this.listenerAngle);
+    const rightY = Math.cos(this.listenerAngle);
+
+    const partialIds = new Map();
+    notes.forEach((note, i) => {
+      const { tone, worldX, worldY } = note;
+
+      let id = this.partialIds.get(note.key);
+      if (id === undefined) {
+        id = this.nextPartialId++;
+      }
+      partialIds.set(note.key, id);
+
+      const dx = worldX - listenerX;
+      const dy = worldY - listenerY;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      const doppler = this.getDopplerFactor(
+        { x: worldX, y: worldY },
+        this.getNoteVelocity(note),
+      );
+
+      const offset = i * PARTIAL_STRIDE;
+      values[offset] = id;
+      values[offset + 1] = tone.frequency * doppler;
+      values[offset + 2] =
+        tone.energy *
+        this.partialGain *
+        this.getDistanceGain(distance, maxDistance);
+      values[offset + 3] =
+        distance > 0 ? (dx * rightX + dy * rightY) / distance : 0;
+      values[offset + 4] = note.phase;
+      values[offset + 5] = Math.max(
+        0,
+        SHAPES.indexOf(this.getOscillatorTypeForCell(tone)),
+      );
+    });
+    this.partialIds = partialIds;
+
+    this.synth.port.postMessage(
+      { type: "frame", count: notes.length, buffer },
+      [buffer],
+    );
+  }
+
+  // Level of a sound `distance` away, as a PannerNode with this renderer's
+  // distance settings would play it
+  getDistanceGain(distance, maxDistance) {
+    const ref = this.refDistance;
+    const rolloff = this.rolloffFactor;
+
+    switch (this.distanceModel) {
+      case "inverse":
+        return ref / (ref + rolloff * (Math.max(distance, ref) - ref));
+      case "exponential":
+        return Math.pow(Math.max(distance, ref) / ref, -rolloff);
+      default: {
+        if (maxDistance <= ref) return 1;
+        const clamped = Math.max(ref, Math.min(distance, maxDistance));
+        return Math.max(
+          0,
+          1 - (rolloff * (clamped - ref)) / (maxDistance - ref),
+        );
+      }
+    }
+  }
+
+  // Clean up resources
+  dispose() {
+    this.disposed = true;
+    if (this.synth) {
+      this.synth.port.close();
+      this.synth.disconnect();
+    }
+
+    super.dispose();
+  }
+}
+
+export default WorkletAudioRenderer;
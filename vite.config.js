@@ -1,8 +1,22 @@
 // vite.config.js
+
+// Cross-origin isolation lets WorkerWaveField share memory with its worker
+const isolationHeaders = {
+  "Cross-Origin-Opener-Policy": "same-origin",
+  "Cross-Origin-Embedder-Policy": "require-corp",
+};
+
 export default {
   base: "./",
   server: {
     open: true,
+    headers: isolationHeaders,
+  },
+  preview: {
+    headers: isolationHeaders,
+  },
+  worker: {
+    format: "es",
   },
   build: {
     outDir: "dist",